@@ -0,0 +1,26 @@
+// Scopes a personal API key can be granted, one read/write pair per router.
+// A write scope also allows reads on the same resource.
+const API_KEY_RESOURCES = ['tasks', 'reminders', 'calendar', 'chat', 'orders', 'email'];
+
+const API_KEY_SCOPES = API_KEY_RESOURCES.flatMap(resource => [`${resource}:read`, `${resource}:write`]);
+
+// GET and HEAD need <resource>:read, every other method <resource>:write
+const requiredScope = (resource, method) => (
+  ['GET', 'HEAD'].includes(method) ? `${resource}:read` : `${resource}:write`
+);
+
+const hasScope = (scopes, scope) => {
+  if (scopes.includes(scope)) {
+    return true;
+  }
+
+  const [resource, access] = scope.split(':');
+  return access === 'read' && scopes.includes(`${resource}:write`);
+};
+
+module.exports = {
+  API_KEY_RESOURCES,
+  API_KEY_SCOPES,
+  requiredScope,
+  hasScope
+};
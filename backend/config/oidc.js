@@ -0,0 +1,60 @@
+const logger = require('../utils/logger');
+
+// OpenID Connect providers, configured with OIDC_PROVIDERS as a JSON array, e.g.
+//   [{ "id": "google", "name": "Google", "issuer": "https://accounts.google.com",
+//      "clientId": "...", "clientSecret": "..." }]
+// Optional per provider: "scopes" (default "openid email profile") and "redirectUri"
+// (default <API_BASE_URL>/auth/oidc/<id>/callback). Plain-http issuers are only
+// accepted outside production, for local mock providers.
+const API_BASE_URL = process.env.API_BASE_URL || 'https://bluescar-production.up.railway.app/api';
+
+const parseProviders = () => {
+  if (!process.env.OIDC_PROVIDERS) {
+    return [];
+  }
+
+  let configured;
+  try {
+    configured = JSON.parse(process.env.OIDC_PROVIDERS);
+  } catch (error) {
+    logger.error(`OIDC_PROVIDERS is not valid JSON: ${error.message}`);
+    return [];
+  }
+
+  return (Array.isArray(configured) ? configured : []).filter(provider => {
+    if (!provider.id || !provider.issuer || !provider.clientId) {
+      logger.error('OIDC provider ignored: id, issuer and clientId are required');
+      return false;
+    }
+
+    if (!/^[a-z0-9-]+$/.test(provider.id)) {
+      logger.error(`OIDC provider ignored: invalid id "${provider.id}"`);
+      return false;
+    }
+
+    const allowHttp = process.env.NODE_ENV !== 'production';
+    if (!/^https:\/\//.test(provider.issuer) && !(allowHttp && /^http:\/\//.test(provider.issuer))) {
+      logger.error(`OIDC provider ${provider.id} ignored: issuer must use https`);
+      return false;
+    }
+
+    return true;
+  }).map(provider => ({
+    id: provider.id,
+    name: provider.name || provider.id,
+    issuer: provider.issuer.replace(/\/$/, ''),
+    clientId: provider.clientId,
+    clientSecret: provider.clientSecret,
+    scopes: provider.scopes || 'openid email profile',
+    redirectUri: provider.redirectUri || `${API_BASE_URL}/auth/oidc/${provider.id}/callback`
+  }));
+};
+
+const providers = parseProviders();
+
+const getProvider = (id) => providers.find(provider => provider.id === id);
+
+module.exports = {
+  providers,
+  getProvider
+};
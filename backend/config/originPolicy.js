@@ -0,0 +1,79 @@
+// Browser origins allowed to call the API with credentials. Shared by the HTTP CORS
+// middleware, the Socket.IO handshake and the CSRF check, so all three agree.
+//
+// Exact origins only by default. Preview deployments can be allowed with suffix
+// wildcards in CORS_ORIGIN_SUFFIXES (comma-separated, matched against the host of an
+// https origin), e.g. "-bluescar.vercel.app" for https://app-git-x-bluescar.vercel.app.
+// A bare ".vercel.app" would let every Vercel project in, so keep suffixes specific.
+const allowedOrigins = [
+  // Development URLs
+  'http://localhost:3000',
+  'http://localhost:3001',
+  'http://127.0.0.1:3000',
+
+  // Live URLs
+  'https://blue-scar-front.vercel.app',
+  'https://bluescar-production.up.railway.app',
+
+  // Custom domains
+  'https://bluescar.app',
+  'https://www.bluescar.app',
+
+  // Environment variables
+  process.env.FRONTEND_URL,
+  process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : null,
+  ...(process.env.CORS_ALLOWED_ORIGINS || '').split(',')
+]
+  .map(origin => origin && origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+const allowedSuffixes = (process.env.CORS_ORIGIN_SUFFIXES || '')
+  .split(',')
+  .map(suffix => suffix.trim().toLowerCase())
+  .filter(Boolean);
+
+const isAllowedOrigin = (origin) => {
+  if (!origin) {
+    return false;
+  }
+
+  if (allowedOrigins.includes(origin)) {
+    return true;
+  }
+
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (error) {
+    return false;
+  }
+
+  return url.protocol === 'https:' &&
+    url.origin === origin &&
+    allowedSuffixes.some(suffix => url.hostname.endsWith(suffix));
+};
+
+// The origin a browser request came from: the Origin header, or the origin part of
+// the Referer when Origin is missing. Null for non-browser clients that send neither.
+const requestOrigin = (req) => {
+  const origin = req.headers.origin;
+  if (origin && origin !== 'null') {
+    return origin;
+  }
+
+  if (req.headers.referer) {
+    try {
+      return new URL(req.headers.referer).origin;
+    } catch (error) {
+      return 'invalid';
+    }
+  }
+
+  return origin || null;
+};
+
+module.exports = {
+  allowedOrigins,
+  isAllowedOrigin,
+  requestOrigin
+};
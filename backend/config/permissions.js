@@ -0,0 +1,49 @@
+// What each role may do on the admin API. Regular users have no admin permissions.
+const ROLES = ['user', 'support', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  support: [
+    'users:read',
+    'users:unlock',
+    'users:logout',
+    'security:read'
+  ],
+  admin: [
+    'users:read',
+    'users:unlock',
+    'users:logout',
+    'users:deactivate',
+    'users:manage_roles',
+    'deletions:read',
+    'security:read',
+    'system:read',
+    'system:rotate_keys'
+  ]
+};
+
+// Accounts listed in ADMIN_EMAILS (comma-separated) are treated as admins whatever their
+// stored role, so a fresh deployment can bootstrap its first admin. Only once the address
+// is verified: anyone can register it first.
+const bootstrapAdmins = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+const roleOf = (user) => (user.emailVerified && bootstrapAdmins.includes(user.email)
+  ? 'admin'
+  : user.role || 'user');
+
+const hasPermission = (user, permission) => ROLE_PERMISSIONS[roleOf(user)].includes(permission);
+
+// Admin actions only reach accounts whose role ranks no higher than the actor's own, so
+// support staff can't sign out, unlock or otherwise act on admins
+const canActOn = (actor, target) => ROLES.indexOf(roleOf(target)) <= ROLES.indexOf(roleOf(actor));
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  roleOf,
+  hasPermission,
+  canActOn
+};
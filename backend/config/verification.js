@@ -0,0 +1,14 @@
+// Capabilities an account cannot use until its email address is verified.
+// Override with UNVERIFIED_RESTRICTIONS, e.g. "email:send,orders:place" (empty string lifts all).
+const DEFAULT_RESTRICTIONS = ['email:send', 'orders:place'];
+
+const restrictions = process.env.UNVERIFIED_RESTRICTIONS !== undefined
+  ? process.env.UNVERIFIED_RESTRICTIONS.split(',').map(item => item.trim()).filter(Boolean)
+  : DEFAULT_RESTRICTIONS;
+
+const isRestrictedForUnverified = (capability) => restrictions.includes(capability);
+
+module.exports = {
+  restrictions,
+  isRestrictedForUnverified
+};
@@ -0,0 +1,15 @@
+// WebAuthn relying party. Passkeys are scoped to WEBAUTHN_RP_ID (a registrable domain,
+// default: the FRONTEND_URL host) and only accepted from the origins in WEBAUTHN_ORIGINS
+// (comma-separated, default: FRONTEND_URL). Changing the RP ID orphans every passkey.
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://blue-scar-front.vercel.app';
+
+const origins = (process.env.WEBAUTHN_ORIGINS || FRONTEND_URL)
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+module.exports = {
+  rpId: process.env.WEBAUTHN_RP_ID || new URL(FRONTEND_URL).hostname,
+  rpName: process.env.WEBAUTHN_RP_NAME || 'BlueScar',
+  origins
+};
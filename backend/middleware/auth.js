@@ -1,79 +1,153 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
-const { cache } = require('../config/redis');
-const logger = require('../utils/logger');
-
-const auth = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. No token provided.'
-      });
-    }
-
-    // Check if token is blacklisted
-    const isBlacklisted = await cache.get(`blacklist_${token}`);
-    if (isBlacklisted) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token has been invalidated'
-      });
-    }
-
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-    
-    // Check cache first for user data
-    let user = await cache.get(`user_${decoded.userId}`);
-    
-    if (!user) {
-      user = await User.findById(decoded.userId);
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
-      
-      // Cache user data for 15 minutes
-      await cache.set(`user_${decoded.userId}`, user, 900);
-    }
-
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Account has been deactivated'
-      });
-    }
-
-    req.user = user;
-    next();
-
-  } catch (error) {
-    logger.error('Authentication error:', error);
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token'
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Token expired'
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      message: 'Server error during authentication'
-    });
-  }
-};
-
-module.exports = auth;
+const User = require('../models/User');
+const { cache } = require('../config/redis');
+const { isAccessTokenRevoked } = require('../utils/sessions');
+const { verifyAccessToken } = require('../utils/tokens');
+const { authenticateApiKey } = require('../utils/apiKeys');
+const { requiredScope, hasScope } = require('../config/apiKeyScopes');
+const logger = require('../utils/logger');
+
+const reject = (status, message, code) => ({ error: { status, message, code } });
+
+// Checks a bearer JWT or an API key and loads the user. Shared by the HTTP middleware
+// and the Socket.IO handshake. Resolves to { user, sessionId, apiKey, expiresAt } or
+// { error: { status, message, code } }. API keys are only accepted when a resource is
+// given, and must carry the scope `method` needs on it.
+const verifyCredentials = async ({ token, apiKey: rawKey, resource, method = 'GET', ip }) => {
+  if (!token && rawKey) {
+    return verifyApiKey(rawKey, resource, method, ip);
+  }
+
+  if (!token) {
+    return reject(401, 'Access denied. No token provided.');
+  }
+
+  // Check if token is blacklisted
+  const isBlacklisted = await cache.get(`blacklist_${token}`);
+  if (isBlacklisted) {
+    return reject(401, 'Token has been invalidated');
+  }
+
+  // Verify token
+  let decoded;
+  try {
+    decoded = await verifyAccessToken(token);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return reject(401, 'Token expired');
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return reject(401, 'Invalid token');
+    }
+    throw error;
+  }
+
+  // Other token types (email verification, etc.) share the secret but are not credentials
+  if (decoded.type !== 'access') {
+    return reject(401, 'Invalid token');
+  }
+
+  // Tokens of revoked sessions, or issued before a password reset, are rejected
+  if (await isAccessTokenRevoked(decoded)) {
+    return reject(401, 'Token has been invalidated');
+  }
+
+  const result = await loadUser(decoded.userId);
+  return result.error ? result : {
+    ...result,
+    sessionId: decoded.sid,
+    expiresAt: new Date(decoded.exp * 1000)
+  };
+};
+
+const verifyApiKey = async (rawKey, resource, method, ip) => {
+  if (!resource) {
+    return reject(401, 'API keys are not accepted for this endpoint');
+  }
+
+  const apiKey = await authenticateApiKey(rawKey, ip);
+  if (!apiKey) {
+    return reject(401, 'Invalid or expired API key');
+  }
+
+  const scope = requiredScope(resource, method);
+  if (!hasScope(apiKey.scopes, scope)) {
+    return reject(403, `API key is missing the ${scope} scope`, 'INSUFFICIENT_SCOPE');
+  }
+
+  const result = await loadUser(apiKey.userId);
+  if (result.error) {
+    return result;
+  }
+
+  // Keys are suspended while the account is scheduled for deletion; signing in cancels it
+  if (result.user.deletionScheduledFor) {
+    return reject(401, 'Account is scheduled for deletion. Sign in to keep it.', 'DELETION_SCHEDULED');
+  }
+
+  return { ...result, apiKey };
+};
+
+const loadUser = async (userId) => {
+  // Check cache first for user data
+  let user = await cache.get(`user_${userId}`);
+
+  if (!user) {
+    user = await User.findById(userId);
+    if (!user) {
+      return reject(401, 'User not found');
+    }
+
+    // Cache user data for 15 minutes
+    await cache.set(`user_${userId}`, user, 900);
+  }
+
+  if (!user.isActive) {
+    return reject(401, 'Account has been deactivated');
+  }
+
+  return { user };
+};
+
+// Bearer JWTs are accepted everywhere. X-Api-Key is only accepted when the router opted in
+// with auth.withScope(resource), and the key must carry the scope for the request method.
+const authenticate = (resource) => async (req, res, next) => {
+  try {
+    const result = await verifyCredentials({
+      token: req.header('Authorization')?.replace('Bearer ', ''),
+      apiKey: req.header('X-Api-Key'),
+      resource,
+      method: req.method,
+      ip: req.ip
+    });
+
+    if (result.error) {
+      const { status, message, code } = result.error;
+      return res.status(status).json({
+        success: false,
+        message,
+        ...(code && { code })
+      });
+    }
+
+    req.user = result.user;
+    req.sessionId = result.sessionId;
+    req.apiKey = result.apiKey;
+    next();
+
+  } catch (error) {
+    logger.error('Authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authentication'
+    });
+  }
+};
+
+const auth = authenticate();
+
+// Same as auth, but also accepts API keys scoped to the given resource
+auth.withScope = (resource) => authenticate(resource);
+
+auth.verifyCredentials = verifyCredentials;
+
+module.exports = auth;
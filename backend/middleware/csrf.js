@@ -0,0 +1,64 @@
+const { generateOpaqueToken, safeCompare } = require('../utils/tokens');
+const { isAllowedOrigin, requestOrigin } = require('../config/originPolicy');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const logger = require('../utils/logger');
+
+// CSRF protection for routes that authenticate with cookies (refresh, magic link).
+// Double-submit: the token lives in an HTTP-only cookie and is handed to the frontend
+// in a response body (GET /api/auth/csrf, or login), which only allowed origins can
+// read; the frontend echoes it in X-CSRF-Token. Requests from browsers must also come
+// from an allowed Origin (or Referer). The OIDC callback is a top-level redirect that
+// can't carry a header; its state parameter and cookie protect it instead.
+const CSRF_COOKIE = 'csrfToken';
+const CSRF_HEADER = 'X-CSRF-Token';
+
+const csrfCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api'
+});
+
+// Reuses the browser's current token so parallel tabs don't invalidate each other
+const issueCsrfToken = (req, res) => {
+  const current = req.cookies?.[CSRF_COOKIE];
+  const token = current && /^[a-f0-9]{64}$/.test(current) ? current : generateOpaqueToken().token;
+  res.cookie(CSRF_COOKIE, token, csrfCookieOptions());
+  return token;
+};
+
+const rejectCsrf = (req, res, reason) => {
+  logger.warn(`CSRF check failed (${reason}) for ${req.method} ${req.originalUrl} from IP: ${req.ip}`);
+  recordSecurityEvent(req, {
+    type: 'csrf.rejected',
+    outcome: 'blocked',
+    metadata: { reason, origin: requestOrigin(req), path: req.originalUrl }
+  });
+
+  res.status(403).json({
+    success: false,
+    message: 'Request blocked by CSRF protection. Fetch a token from /api/auth/csrf and retry.',
+    code: 'CSRF_REJECTED'
+  });
+};
+
+const requireCsrfToken = (req, res, next) => {
+  const origin = requestOrigin(req);
+  if (origin && !isAllowedOrigin(origin)) {
+    return rejectCsrf(req, res, 'origin_not_allowed');
+  }
+
+  const cookieToken = req.cookies?.[CSRF_COOKIE];
+  const headerToken = req.get(CSRF_HEADER);
+  if (!cookieToken || !headerToken || !safeCompare(cookieToken, headerToken)) {
+    return rejectCsrf(req, res, cookieToken ? 'token_mismatch' : 'token_missing');
+  }
+
+  next();
+};
+
+module.exports = {
+  CSRF_HEADER,
+  issueCsrfToken,
+  requireCsrfToken
+};
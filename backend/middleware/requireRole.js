@@ -0,0 +1,22 @@
+const logger = require('../utils/logger');
+const { roleOf, hasPermission } = require('../config/permissions');
+
+const denyAccess = (req, res) => {
+  logger.warn(`Access denied for user: ${req.user._id} (${roleOf(req.user)}), route: ${req.originalUrl}`);
+  res.status(403).json({
+    success: false,
+    message: 'Access denied'
+  });
+};
+
+// Must run after auth - allows any role granted the permission in config/permissions.js
+const requirePermission = (permission) => (req, res, next) => {
+  if (hasPermission(req.user, permission)) {
+    return next();
+  }
+  denyAccess(req, res);
+};
+
+module.exports = {
+  requirePermission
+};
@@ -0,0 +1,16 @@
+const { isRestrictedForUnverified } = require('../config/verification');
+
+// Must run after auth - blocks the capability for unverified accounts if the policy restricts it
+const requireVerifiedEmail = (capability) => (req, res, next) => {
+  if (req.user.emailVerified || !isRestrictedForUnverified(capability)) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Please verify your email address to use this feature',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+};
+
+module.exports = requireVerifiedEmail;
@@ -0,0 +1,48 @@
+const auth = require('./auth');
+const logger = require('../utils/logger');
+
+// Socket.IO handshake authentication. Clients pass the access token (or an API key with
+// the chat:read scope) in the handshake: io(url, { auth: { token } }) or { auth: { apiKey } }.
+// The verified user id is kept on socket.data and is the only room the socket can join.
+
+// Checks the handshake credentials; also used to re-check them on every event
+const verifySocket = (socket) => {
+  const { token, apiKey } = socket.handshake.auth || {};
+  const { headers } = socket.handshake;
+
+  return auth.verifyCredentials({
+    token: token || headers.authorization?.replace('Bearer ', ''),
+    apiKey: apiKey || headers['x-api-key'],
+    resource: 'chat',
+    method: 'GET',
+    ip: socket.handshake.address
+  });
+};
+
+const socketAuth = async (socket, next) => {
+  try {
+    const result = await verifySocket(socket);
+
+    if (result.error) {
+      logger.warn(`Socket ${socket.id} rejected from ${socket.handshake.address}: ${result.error.message}`);
+      const error = new Error(result.error.message);
+      error.data = { status: result.error.status, code: result.error.code };
+      return next(error);
+    }
+
+    socket.data.userId = result.user._id.toString();
+    socket.data.scopes = result.apiKey?.scopes;
+    socket.data.apiKeyId = result.apiKey?.id;
+    socket.data.sessionId = result.sessionId;
+    socket.data.expiresAt = result.expiresAt;
+    next();
+
+  } catch (error) {
+    logger.error('Socket authentication error:', error);
+    next(new Error('Server error during authentication'));
+  }
+};
+
+socketAuth.verifySocket = verifySocket;
+
+module.exports = socketAuth;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Audit trail of account deletions. Kept after the user and their data are purged,
+// so it holds no personal data beyond the user id and a hash of the email. The user's
+// security events are kept too, anonymized by the securityEvents purger.
+const accountDeletionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  emailHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'purging', 'completed', 'failed'],
+    default: 'scheduled'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  requestedFromIp: {
+    type: String
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  cancelledAt: {
+    type: Date
+  },
+  claimedAt: {
+    type: Date // when a sweeper last started purging it
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  completedAt: {
+    type: Date
+  },
+  purged: {
+    type: mongoose.Schema.Types.Mixed // per-module counts of removed records
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+accountDeletionSchema.index({ status: 1, scheduledFor: 1 });
+accountDeletionSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AccountDeletion', accountDeletionSchema);
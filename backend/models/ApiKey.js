@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/apiKeyScopes');
+
+// Personal API keys for scripts and integrations. Only a SHA-256 hash of the key is
+// stored; the plaintext is shown once on creation.
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true // first characters of the key, so users can tell their keys apart
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.keyHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+apiKeySchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiresAt) && this.expiresAt <= new Date();
+});
+
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && !this.isExpired;
+});
+
+// Indexes for performance
+apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -1,83 +1,83 @@
-const mongoose = require('mongoose');
-
-const calendarEventSchema = new mongoose.Schema({
-  title: {
-    type: String,
-    required: [true, 'Event title is required'],
-    trim: true,
-    maxlength: [200, 'Title cannot exceed 200 characters']
-  },
-  description: {
-    type: String,
-    trim: true,
-    maxlength: [1000, 'Description cannot exceed 1000 characters']
-  },
-  startDate: {
-    type: Date,
-    required: [true, 'Start date is required']
-  },
-  endDate: {
-    type: Date,
-    required: [true, 'End date is required'],
-    validate: {
-      validator: function(date) {
-        return date > this.startDate;
-      },
-      message: 'End date must be after start date'
-    }
-  },
-  userId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
-    index: true
-  },
-  location: {
-    type: String,
-    trim: true,
-    maxlength: [200, 'Location cannot exceed 200 characters']
-  },
-  attendees: [{
-    email: {
-      type: String,
-      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
-    },
-    name: {
-      type: String,
-      trim: true
-    },
-    status: {
-      type: String,
-      enum: ['pending', 'accepted', 'declined'],
-      default: 'pending'
-    }
-  }],
-  isAllDay: {
-    type: Boolean,
-    default: false
-  },
-  category: {
-    type: String,
-    enum: ['work', 'personal', 'meeting', 'appointment', 'other'],
-    default: 'other'
-  },
-  priority: {
-    type: String,
-    enum: ['low', 'medium', 'high'],
-    default: 'medium'
-  },
-  status: {
-    type: String,
-    enum: ['scheduled', 'completed', 'cancelled'],
-    default: 'scheduled'
-  }
-}, {
-  timestamps: true
-});
-
-// Indexes for performance
-calendarEventSchema.index({ userId: 1, startDate: 1 });
-calendarEventSchema.index({ userId: 1, category: 1 });
-calendarEventSchema.index({ startDate: 1, endDate: 1 });
-
-module.exports = mongoose.model('CalendarEvent', calendarEventSchema);
+const mongoose = require('mongoose');
+
+const calendarEventSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Event title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(date) {
+        return date > this.startDate;
+      },
+      message: 'End date must be after start date'
+    }
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Location cannot exceed 200 characters']
+  },
+  attendees: [{
+    email: {
+      type: String,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined'],
+      default: 'pending'
+    }
+  }],
+  isAllDay: {
+    type: Boolean,
+    default: false
+  },
+  category: {
+    type: String,
+    enum: ['work', 'personal', 'meeting', 'appointment', 'other'],
+    default: 'other'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'completed', 'cancelled'],
+    default: 'scheduled'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+calendarEventSchema.index({ userId: 1, startDate: 1 });
+calendarEventSchema.index({ userId: 1, category: 1 });
+calendarEventSchema.index({ startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('CalendarEvent', calendarEventSchema);
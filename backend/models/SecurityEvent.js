@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Append-only audit trail of authentication and account events. Updates and deletes
+// through Mongoose are refused; old events are removed only by the TTL index. Like the
+// account deletion record, events outlive the account they belong to until they expire,
+// but anonymizeUser strips their personal data when the account is purged.
+const RETENTION_DAYS = parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS, 10) || 365;
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure', 'blocked'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true // the address tried, for events without a known user
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // set when an admin acted on someone else's account
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  anonymizedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes for performance
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ ip: 1, createdAt: -1 });
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const refuseChange = function(next) {
+  next(new Error('Security events are append-only'));
+};
+
+securityEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return refuseChange(next);
+  }
+  next();
+});
+
+securityEventSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+], refuseChange);
+
+securityEventSchema.pre(['deleteOne', 'updateOne'], { document: true, query: false }, refuseChange);
+
+// The one permitted change, made on the collection directly since the hooks above refuse
+// it: removes the address, IP, user agent and device label from a deleted user's events,
+// and the IP and user agent from actions they took on other accounts as an admin.
+// Resolves to the number of events changed.
+securityEventSchema.statics.anonymizeUser = async function(userId, email) {
+  const anonymizedAt = new Date();
+  const id = new mongoose.Types.ObjectId(userId);
+
+  const own = await this.collection.updateMany(
+    { $or: [{ userId: id }, ...(email ? [{ email: email.toLowerCase() }] : [])] },
+    { $set: { anonymizedAt }, $unset: { email: '', ip: '', userAgent: '', 'metadata.deviceName': '' } }
+  );
+  const asActor = await this.collection.updateMany(
+    { actorId: id, userId: { $ne: id } },
+    { $set: { anonymizedAt }, $unset: { ip: '', userAgent: '' } }
+  );
+
+  return own.modifiedCount + asActor.modifiedCount;
+};
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Asymmetric keys that sign access and refresh tokens. One key is active at a time;
+// rotated-out keys keep verifying ("retiring") until every token they signed has
+// expired, then they are retired and dropped from the JWKS.
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  algorithm: {
+    type: String,
+    enum: ['ES256'],
+    default: 'ES256'
+  },
+  publicJwk: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  privateKeyPem: {
+    type: String,
+    required: true,
+    select: false // PKCS#8, encrypted with JWT_KEYRING_PASSPHRASE
+  },
+  status: {
+    type: String,
+    enum: ['active', 'retiring', 'retired'],
+    default: 'active'
+  },
+  activatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  retiringAt: {
+    type: Date
+  },
+  retiredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+signingKeySchema.index({ status: 1, activatedAt: -1 });
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
@@ -1,80 +1,291 @@
-const mongoose = require('mongoose');
-
-const taskSchema = new mongoose.Schema({
-  title: {
-    type: String,
-    required: [true, 'Task title is required'],
-    trim: true,
-    maxlength: [200, 'Title cannot exceed 200 characters']
-  },
-  description: {
-    type: String,
-    trim: true,
-    maxlength: [1000, 'Description cannot exceed 1000 characters']
-  },
-  status: {
-    type: String,
-    enum: ['pending', 'in_progress', 'completed', 'cancelled'],
-    default: 'pending'
-  },
-  priority: {
-    type: String,
-    enum: ['low', 'medium', 'high', 'urgent'],
-    default: 'medium'
-  },
-  dueDate: {
-    type: Date,
-    validate: {
-      validator: function(date) {
-        return !date || date > new Date();
-      },
-      message: 'Due date must be in the future'
-    }
-  },
-  userId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
-    index: true
-  },
-  tags: [{
-    type: String,
-    trim: true,
-    maxlength: [30, 'Tag cannot exceed 30 characters']
-  }],
-  completedAt: {
-    type: Date
-  },
-  estimatedDuration: {
-    type: Number, // in minutes
-    min: [1, 'Duration must be at least 1 minute'],
-    max: [1440, 'Duration cannot exceed 24 hours']
-  }
-}, {
-  timestamps: true
-});
-
-// Indexes for performance
-taskSchema.index({ userId: 1, status: 1 });
-taskSchema.index({ userId: 1, dueDate: 1 });
-taskSchema.index({ userId: 1, priority: 1 });
-taskSchema.index({ userId: 1, createdAt: -1 });
-
-// Auto-set completedAt when status changes to completed
-taskSchema.pre('save', function(next) {
-  if (this.isModified('status')) {
-    if (this.status === 'completed' && !this.completedAt) {
-      this.completedAt = new Date();
-    } else if (this.status !== 'completed') {
-      this.completedAt = undefined;
-    }
-  }
-  next();
-});
-
-// Check if task is overdue
-taskSchema.virtual('isOverdue').get(function() {
-  return this.dueDate && this.dueDate < new Date() && this.status !== 'completed';
-});
-
-module.exports = mongoose.model('Task', taskSchema);
+const mongoose = require('mongoose');
+
+const MAX_CHECKLIST_ITEMS = 50;
+const MAX_BLOCKERS = 20;
+
+// Checklist items are kept in display order; their position in the array is their order
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Checklist item text is required'],
+    trim: true,
+    maxlength: [200, 'Checklist item cannot exceed 200 characters']
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// How a recurring task repeats; see utils/recurrence.js
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    max: 365,
+    default: 1
+  },
+  weekdays: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  monthDay: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  weekOfMonth: {
+    type: Number,
+    enum: [1, 2, 3, 4, -1]
+  },
+  weekday: {
+    type: Number,
+    min: 0,
+    max: 6
+  },
+  until: {
+    type: Date
+  }
+}, {
+  _id: false
+});
+
+const taskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'in_progress', 'completed', 'cancelled'],
+    default: 'pending'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  dueDate: {
+    type: Date,
+    validate: {
+      // Only when the due date is set, so overdue tasks can still be saved
+      validator: function(date) {
+        if (this instanceof mongoose.Document && !this.isNew && !this.isModified('dueDate')) {
+          return true;
+        }
+        return !date || date > new Date();
+      },
+      message: 'Due date must be in the future'
+    }
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [30, 'Tag cannot exceed 30 characters']
+  }],
+  completedAt: {
+    type: Date
+  },
+  estimatedDuration: {
+    type: Number, // in minutes
+    min: [1, 'Duration must be at least 1 minute'],
+    max: [1440, 'Duration cannot exceed 24 hours']
+  },
+  checklist: {
+    type: [checklistItemSchema],
+    validate: {
+      validator: function(items) {
+        return items.length <= MAX_CHECKLIST_ITEMS;
+      },
+      message: `A task cannot have more than ${MAX_CHECKLIST_ITEMS} checklist items`
+    }
+  },
+  // Tasks (of the same user) that must be completed or cancelled before this one can
+  // start; see utils/taskGraph.js
+  blockedBy: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }],
+    validate: {
+      validator: function(ids) {
+        return ids.length <= MAX_BLOCKERS;
+      },
+      message: `A task cannot be blocked by more than ${MAX_BLOCKERS} tasks`
+    }
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: undefined
+  },
+  // Occurrences of a recurring task share the seriesId of the first one
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  occurrence: {
+    type: Number,
+    min: 1
+  },
+  nextOccurrenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  // Complete the task once every checklist item is done
+  autoCompleteOnChecklist: {
+    type: Boolean,
+    default: false
+  },
+  // Lowercased words of the title, description and tags, kept up to date by the hooks
+  // below, so word* searches can use an index; see utils/taskSearch.js
+  searchWords: {
+    type: [String],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+taskSchema.index({ userId: 1, status: 1 });
+taskSchema.index({ userId: 1, dueDate: 1 });
+taskSchema.index({ userId: 1, priority: 1 });
+taskSchema.index({ userId: 1, createdAt: -1 });
+taskSchema.index({ userId: 1, blockedBy: 1 });
+taskSchema.index({ userId: 1, seriesId: 1, occurrence: 1 });
+taskSchema.index(
+  { userId: 1, title: 'text', description: 'text', tags: 'text' },
+  { name: 'task_search', weights: { title: 10, tags: 5, description: 1 } }
+);
+taskSchema.index({ userId: 1, searchWords: 1 });
+
+// Auto-set completedAt when status changes to completed, for the task and its checklist items
+taskSchema.pre('save', async function() {
+  if (this.isModified('checklist')) {
+    this.checklist.forEach(item => {
+      if (item.completed && !item.completedAt) {
+        item.completedAt = new Date();
+      } else if (!item.completed) {
+        item.completedAt = undefined;
+      }
+    });
+
+    const { total, completed } = checklistProgress(this.checklist);
+    const checklistDone = total > 0 && completed === total;
+
+    // A task with open blockers stays open even when its checklist is done
+    if (this.autoCompleteOnChecklist && checklistDone &&
+        !['completed', 'cancelled'].includes(this.status) && !(await this.hasOpenBlockers())) {
+      this.status = 'completed';
+    }
+  }
+
+  if (this.isModified('status')) {
+    if (this.status === 'completed' && !this.completedAt) {
+      this.completedAt = new Date();
+    } else if (this.status !== 'completed') {
+      this.completedAt = undefined;
+    }
+  }
+
+  if (this.isNew || this.isModified('title') || this.isModified('description') || this.isModified('tags')) {
+    this.searchWords = searchWordsOf(this);
+  }
+});
+
+// PUT /api/tasks/:id updates with findOneAndUpdate, which skips the save hook, so the
+// searchWords and completedAt it maintains are kept up to date here
+taskSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate();
+  const changes = { ...update, ...update.$set };
+  const textChanged = ['title', 'description', 'tags'].some(field => field in changes);
+  const statusChanged = 'status' in changes;
+  if (!textChanged && !statusChanged) {
+    return;
+  }
+
+  const current = await this.model.findOne(this.getQuery()).select('title description tags completedAt').lean();
+  if (!current) {
+    return;
+  }
+
+  if (textChanged) {
+    this.set('searchWords', searchWordsOf({ ...current, ...changes }));
+  }
+
+  if (statusChanged) {
+    if (changes.status === 'completed' && !current.completedAt) {
+      this.set('completedAt', new Date());
+    } else if (changes.status !== 'completed') {
+      this.setUpdate({ ...this.getUpdate(), $unset: { ...update.$unset, completedAt: 1 } });
+    }
+  }
+});
+
+// The distinct words a task can be found by with a word* search
+function searchWordsOf({ title, description, tags }) {
+  const text = [title, description, ...(tags || [])].filter(Boolean).join(' ').toLowerCase();
+  return [...new Set(text.match(/[\p{L}\p{N}]+/gu) || [])];
+}
+
+// Completed and total checklist items, and the percentage done (null without a checklist)
+function checklistProgress(checklist = []) {
+  const total = checklist.length;
+  const completed = checklist.filter(item => item.completed).length;
+  return {
+    total,
+    completed,
+    percent: total ? Math.round((completed / total) * 100) : null
+  };
+}
+
+taskSchema.statics.checklistProgress = checklistProgress;
+taskSchema.statics.searchWordsOf = searchWordsOf;
+taskSchema.statics.MAX_CHECKLIST_ITEMS = MAX_CHECKLIST_ITEMS;
+taskSchema.statics.MAX_BLOCKERS = MAX_BLOCKERS;
+
+taskSchema.virtual('progress').get(function() {
+  return checklistProgress(this.checklist);
+});
+
+taskSchema.methods.hasOpenBlockers = async function() {
+  if (!this.blockedBy.length) {
+    return false;
+  }
+  return Boolean(await this.constructor.exists({
+    _id: { $in: this.blockedBy },
+    userId: this.userId,
+    status: { $nin: ['completed', 'cancelled'] }
+  }));
+};
+
+// Check if task is overdue
+taskSchema.virtual('isOverdue').get(function() {
+  return this.dueDate && this.dueDate < new Date() && this.status !== 'completed';
+});
+
+module.exports = mongoose.model('Task', taskSchema);
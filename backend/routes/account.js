@@ -0,0 +1,228 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const logger = require('../utils/logger');
+const {
+  startAccountExport,
+  getExportJob,
+  getExportArchive,
+  deleteUserExports
+} = require('../utils/accountExport');
+const { registerPurger } = require('../utils/accountDeletion');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AccountExport:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, ready, failed]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         size:
+ *           type: number
+ */
+
+/**
+ * @swagger
+ * /account/export:
+ *   post:
+ *     summary: Start a full export of the account's data
+ *     description: Builds a ZIP archive in the background with JSON for every domain and an .ics file of calendar events. The user is notified over Socket.IO (`account_export_ready`) and by email when it is ready.
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     export:
+ *                       $ref: '#/components/schemas/AccountExport'
+ *       409:
+ *         description: An export is already in progress
+ */
+router.post('/export', auth, async (req, res) => {
+  try {
+    const { job, existing } = await startAccountExport(req.user, { io: req.app.get('io') });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'An export is already in progress',
+        data: { export: formatJob(existing) }
+      });
+    }
+
+    logger.info(`Account export ${job.id} started by user: ${req.user._id}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Export started. We will notify you when it is ready to download.',
+      data: { export: formatJob(job) }
+    });
+
+  } catch (error) {
+    logger.error('Start account export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting export'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /account/export/{id}:
+ *   get:
+ *     summary: Get the status of an export
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export status retrieved successfully
+ *       404:
+ *         description: Export not found or expired
+ */
+router.get('/export/:id', auth, async (req, res) => {
+  try {
+    const job = await getExportJob(req.params.id);
+
+    if (!job || job.userId !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { export: formatJob(job) }
+    });
+
+  } catch (error) {
+    logger.error('Get account export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving export'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /account/export/{id}/download:
+ *   get:
+ *     summary: Download a finished export archive
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Export not found or expired
+ *       409:
+ *         description: Export is not ready yet
+ */
+router.get('/export/:id/download', auth, async (req, res) => {
+  try {
+    const job = await getExportJob(req.params.id);
+
+    if (!job || job.userId !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    if (job.status !== 'ready') {
+      return res.status(409).json({
+        success: false,
+        message: 'Export is not ready yet',
+        data: { export: formatJob(job) }
+      });
+    }
+
+    const archive = await getExportArchive(job.id);
+    if (!archive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export has expired. Please start a new one.'
+      });
+    }
+
+    const filename = `bluescar-export-${new Date(job.completedAt).toISOString().slice(0, 10)}.zip`;
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': archive.length,
+      'Cache-Control': 'no-store'
+    });
+    res.send(archive);
+
+  } catch (error) {
+    logger.error('Download account export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error downloading export'
+    });
+  }
+});
+
+// Remove the user's data exports when their account is deleted
+registerPurger('exports', deleteUserExports);
+
+// Helper functions
+function formatJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    size: job.size
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,969 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const User = require('../models/User');
+const AccountDeletion = require('../models/AccountDeletion');
+const SigningKey = require('../models/SigningKey');
+const SecurityEvent = require('../models/SecurityEvent');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/requireRole');
+const { cache } = require('../config/redis');
+const { ROLES, roleOf, canActOn } = require('../config/permissions');
+const logger = require('../utils/logger');
+const { unlockAccount, getLockStatus } = require('../utils/loginThrottle');
+const { listSessions, revokeAllSessions } = require('../utils/sessions');
+const { rotateSigningKey } = require('../utils/keyring');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const { disconnectSockets } = require('../utils/realtime');
+
+const router = express.Router();
+
+// Validation schemas
+const unlockSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const listUsersSchema = Joi.object({
+  search: Joi.string().trim().max(100),
+  role: Joi.string().valid(...ROLES),
+  status: Joi.string().valid('active', 'inactive'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const deactivateSchema = Joi.object({
+  reason: Joi.string().trim().max(500)
+});
+
+const roleSchema = Joi.object({
+  role: Joi.string().valid(...ROLES).required()
+});
+
+const deletionsQuerySchema = Joi.object({
+  status: Joi.string().valid('scheduled', 'cancelled', 'purging', 'completed', 'failed'),
+  userId: Joi.string().hex().length(24),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const securityEventsQuerySchema = Joi.object({
+  userId: Joi.string().hex().length(24),
+  email: Joi.string().email(),
+  type: Joi.string().max(50),
+  outcome: Joi.string().valid('success', 'failure', 'blocked'),
+  ip: Joi.string().max(45),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from')),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+/**
+ * @swagger
+ * /admin/users/lock-status:
+ *   get:
+ *     summary: Check whether an account is locked after failed logins
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: email
+ *     responses:
+ *       200:
+ *         description: Lock status retrieved successfully
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/users/lock-status', auth, requirePermission('users:unlock'), async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = unlockSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const lock = await getLockStatus(value.email.toLowerCase());
+
+    res.json({
+      success: true,
+      data: {
+        email: value.email.toLowerCase(),
+        locked: Boolean(lock),
+        lock
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get lock status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving lock status'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/unlock:
+ *   post:
+ *     summary: Unlock an account locked after failed logins
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Account unlocked and failure counters reset
+ *       403:
+ *         description: Missing permission, or the account has a higher role than the caller
+ */
+router.post('/users/unlock', auth, requirePermission('users:unlock'), async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = unlockSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const email = value.email.toLowerCase();
+
+    // Lockouts protect accounts from password guessing; only lift them within your rank
+    const target = await User.findOne({ email });
+    if (target && !canActOn(req.user, target)) {
+      return denyPrivilegedTarget(req, res, target);
+    }
+
+    const wasLocked = await unlockAccount(email);
+
+    recordSecurityEvent(req, { type: 'admin.account_unlocked', email, actorId: req.user._id, metadata: { wasLocked } });
+    logger.info(`Account unlocked: ${email} by admin: ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'Account unlocked successfully' : 'Account was not locked, failure counters reset',
+      data: { email, wasLocked }
+    });
+
+  } catch (error) {
+    logger.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlocking account'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/account-deletions:
+ *   get:
+ *     summary: List account deletion audit records
+ *     description: Records are kept after the account and its data are purged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, cancelled, purging, completed, failed]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deletion records retrieved successfully
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/account-deletions', auth, requirePermission('deletions:read'), async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = deletionsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const { status, userId, page, limit } = value;
+    const filter = {};
+    if (status) filter.status = status;
+    if (userId) filter.userId = userId;
+
+    const [deletions, total] = await Promise.all([
+      AccountDeletion.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean(),
+      AccountDeletion.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        deletions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get account deletions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving account deletions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/security-events:
+ *   get:
+ *     summary: Search the security event log across all users
+ *     description: Events are append-only and kept for SECURITY_EVENT_RETENTION_DAYS, also after the account is deleted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: email
+ *         description: Address tried in events without a known user, such as failed logins
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         description: Exact event type, or a prefix ending in a dot (e.g. "admin.")
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure, blocked]
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Security events retrieved successfully
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/security-events', auth, requirePermission('security:read'), async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = securityEventsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const { userId, email, type, outcome, ip, from, to, page, limit } = value;
+    const filter = {};
+    if (userId) filter.userId = userId;
+    if (email) filter.email = email.toLowerCase();
+    if (type) filter.type = type.endsWith('.') ? new RegExp(`^${escapeRegex(type)}`) : type;
+    if (outcome) filter.outcome = outcome;
+    if (ip) filter.ip = ip;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean(),
+      SecurityEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get security events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving security events'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     summary: List and search users
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches email, first or last name
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, support, admin]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/users', auth, requirePermission('users:read'), async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = listUsersSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const { search, role, status, page, limit } = value;
+    const filter = {};
+    if (role) filter.role = role === 'user' ? { $in: ['user', null] } : role;
+    if (status) filter.isActive = status === 'active';
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern }
+      ];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(formatUser),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving users'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}:
+ *   get:
+ *     summary: Get a user with their sessions and lock status
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id', auth, requirePermission('users:read'), async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const [sessions, lock] = await Promise.all([
+      listSessions(user._id.toString()),
+      getLockStatus(user.email)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user: formatUser(user),
+        sessions: sessions.map(session => ({
+          id: session.id,
+          device: session.device,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt
+        })),
+        lock
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate a user and sign them out everywhere
+ *     description: Deactivated users cannot sign in, refresh tokens or use API keys until reactivated.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User deactivated
+ *       400:
+ *         description: Cannot deactivate your own account
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/deactivate', auth, requirePermission('users:deactivate'), async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = deactivateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (isSelf(req, user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    await user.save();
+
+    await revokeAllSessions(user._id.toString());
+    await cache.del(`user_${user._id}`);
+    disconnectSockets(`user_${user._id}`, 'Account deactivated');
+
+    recordSecurityEvent(req, { type: 'admin.user_deactivated', userId: user._id, actorId: req.user._id, metadata: { reason: value.reason } });
+    logger.warn(`User ${user._id} deactivated by admin: ${req.user._id}${value.reason ? `, reason: ${value.reason}` : ''}`);
+
+    res.json({
+      success: true,
+      message: 'User deactivated and signed out of all sessions',
+      data: { user: formatUser(user) }
+    });
+
+  } catch (error) {
+    logger.error('Admin deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deactivating user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a deactivated user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/reactivate', auth, requirePermission('users:deactivate'), async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    await user.save();
+
+    await cache.del(`user_${user._id}`);
+
+    recordSecurityEvent(req, { type: 'admin.user_reactivated', userId: user._id, actorId: req.user._id });
+    logger.info(`User ${user._id} reactivated by admin: ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'User reactivated',
+      data: { user: formatUser(user) }
+    });
+
+  } catch (error) {
+    logger.error('Admin reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reactivating user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/logout:
+ *   post:
+ *     summary: Sign a user out of every session
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       403:
+ *         description: Missing permission, or the user has a higher role than the caller
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/logout', auth, requirePermission('users:logout'), async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const sessions = await listSessions(user._id.toString());
+    await revokeAllSessions(user._id.toString());
+
+    recordSecurityEvent(req, { type: 'admin.user_logged_out', userId: user._id, actorId: req.user._id });
+    logger.warn(`User ${user._id} force logged out by admin: ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'User signed out of all sessions',
+      data: { revokedSessions: sessions.length }
+    });
+
+  } catch (error) {
+    logger.error('Admin force logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error signing user out'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, support, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Cannot change your own role
+ *       404:
+ *         description: User not found
+ */
+router.patch('/users/:id/role', auth, requirePermission('users:manage_roles'), async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = roleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (isSelf(req, user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = value.role;
+    await user.save();
+
+    await cache.del(`user_${user._id}`);
+
+    recordSecurityEvent(req, {
+      type: 'admin.role_changed',
+      userId: user._id,
+      actorId: req.user._id,
+      metadata: { from: previousRole, to: value.role }
+    });
+    logger.warn(`User ${user._id} role changed from ${previousRole} to ${value.role} by admin: ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: { user: formatUser(user) }
+    });
+
+  } catch (error) {
+    logger.error('Admin change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error changing role'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/system/cache:
+ *   get:
+ *     summary: Redis memory and keyspace statistics
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cache statistics retrieved successfully
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/system/cache', auth, requirePermission('system:read'), async (req, res) => {
+  try {
+    const stats = await cache.getStats();
+
+    res.json({
+      success: true,
+      data: {
+        connected: stats.connected,
+        ...(stats.error && { error: stats.error }),
+        ...(stats.connected && {
+          memory: parseRedisInfo(stats.memory),
+          keyspace: parseRedisInfo(stats.keyspace)
+        })
+      }
+    });
+
+  } catch (error) {
+    logger.error('Admin cache stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving cache statistics'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/system/signing-keys:
+ *   get:
+ *     summary: List JWT signing keys
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Signing keys retrieved successfully
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/system/signing-keys', auth, requirePermission('system:read'), async (req, res) => {
+  try {
+    const keys = await SigningKey.find()
+      .sort({ activatedAt: -1 })
+      .select('kid algorithm status activatedAt retiringAt retiredAt');
+
+    res.json({
+      success: true,
+      data: { keys }
+    });
+
+  } catch (error) {
+    logger.error('Admin list signing keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving signing keys'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/system/signing-keys/rotate:
+ *   post:
+ *     summary: Rotate the JWT signing key
+ *     description: New tokens are signed with a fresh key right away. Tokens signed with the previous key stay valid until they expire, so nobody is signed out.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Signing key rotated
+ *       403:
+ *         description: Missing permission
+ */
+router.post('/system/signing-keys/rotate', auth, requirePermission('system:rotate_keys'), async (req, res) => {
+  try {
+    const { kid, retiringKeys } = await rotateSigningKey();
+
+    recordSecurityEvent(req, { type: 'admin.signing_key_rotated', actorId: req.user._id, metadata: { kid } });
+    logger.warn(`JWT signing key rotated to ${kid} by admin: ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Signing key rotated',
+      data: { kid, retiringKeys }
+    });
+
+  } catch (error) {
+    logger.error('Admin rotate signing key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rotating signing key'
+    });
+  }
+});
+
+// Helper functions
+
+// Loads the user named in the route, or responds 404. Anything but a read also responds
+// 403 when the target's role ranks above the caller's.
+async function findTargetUser(req, res) {
+  const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (req.method !== 'GET' && !canActOn(req.user, user)) {
+    denyPrivilegedTarget(req, res, user);
+    return null;
+  }
+
+  return user;
+}
+
+function denyPrivilegedTarget(req, res, user) {
+  logger.warn(`Admin action on ${roleOf(user)} ${user._id} denied for ${roleOf(req.user)}: ${req.user._id}, route: ${req.originalUrl}`);
+  res.status(403).json({
+    success: false,
+    message: 'You cannot act on an account with a higher role than your own'
+  });
+}
+
+function isSelf(req, user) {
+  return user._id.toString() === req.user._id.toString();
+}
+
+function formatUser(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: roleOf(user),
+    isActive: user.isActive,
+    emailVerified: user.emailVerified,
+    mfaEnabled: Boolean(user.mfa?.enabled),
+    lastLogin: user.lastLogin,
+    createdAt: user.createdAt,
+    deactivatedAt: user.deactivatedAt,
+    deletionScheduledFor: user.deletionScheduledFor
+  };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Redis INFO output is "# Section" headers followed by "key:value" lines
+function parseRedisInfo(info = '') {
+  const result = {};
+
+  for (const line of info.split(/\r?\n/)) {
+    if (!line || line.startsWith('#')) continue;
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      result[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  }
+
+  return result;
+}
+
+module.exports = router;
@@ -0,0 +1,254 @@
+const express = require('express');
+const Joi = require('joi');
+const ApiKey = require('../models/ApiKey');
+const auth = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { generateApiKey, revokeApiKey, deleteUserApiKeys } = require('../utils/apiKeys');
+const { API_KEY_SCOPES } = require('../config/apiKeyScopes');
+const { registerPurger } = require('../utils/accountDeletion');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+
+const router = express.Router();
+
+const MAX_ACTIVE_KEYS = 20;
+
+// Validation schemas
+const createApiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required(),
+  expiresAt: Joi.date().greater('now').optional()
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             example: tasks:read
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedIp:
+ *           type: string
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api-keys:
+ *   get:
+ *     summary: List the user's API keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     apiKeys:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ApiKey'
+ *                     availableScopes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys,
+        availableScopes: API_KEY_SCOPES
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving API keys'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The key is returned only in this response. Send it in the `X-Api-Key` header; each router checks for `<resource>:read` on GET requests and `<resource>:write` otherwise (write implies read).
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [tasks:read, tasks:write, reminders:read, reminders:write, calendar:read, calendar:write, chat:read, chat:write, orders:read, orders:write, email:read, email:write]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Validation error or too many active keys
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = createApiKeySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const activeKeys = await ApiKey.countDocuments({
+      userId: req.user._id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (activeKeys >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACTIVE_KEYS} active API keys. Revoke one first.`
+      });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      ...value,
+      userId: req.user._id,
+      prefix,
+      keyHash
+    });
+
+    recordSecurityEvent(req, {
+      type: 'api_key.created',
+      userId: req.user._id,
+      metadata: { apiKeyId: apiKey._id, prefix, scopes: value.scopes }
+    });
+    logger.info(`API key ${apiKey._id} created by user: ${req.user._id} with scopes: ${value.scopes.join(', ')}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: { apiKey, key }
+    });
+
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating API key'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      await revokeApiKey(apiKey);
+      recordSecurityEvent(req, { type: 'api_key.revoked', userId: req.user._id, metadata: { apiKeyId: apiKey._id, prefix: apiKey.prefix } });
+      logger.info(`API key ${apiKey._id} revoked by user: ${req.user._id}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: { apiKey }
+    });
+
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking API key'
+    });
+  }
+});
+
+// Remove the user's API keys when their account is deleted
+registerPurger('apiKeys', deleteUserApiKeys);
+
+module.exports = router;
@@ -1,466 +1,2291 @@
-const express = require('express');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const Joi = require('joi');
-const User = require('../models/User');
-const auth = require('../middleware/auth');
-const { cache } = require('../config/redis');
-const logger = require('../utils/logger');
-
-const router = express.Router();
-
-// Validation schemas
-const registerSchema = Joi.object({
-  email: Joi.string().email().required(),
-  password: Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#$%^&*])')).required()
-    .messages({
-      'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character'
-    }),
-  firstName: Joi.string().min(2).max(50).required(),
-  lastName: Joi.string().min(2).max(50).required()
-});
-
-const loginSchema = Joi.object({
-  email: Joi.string().email().required(),
-  password: Joi.string().required()
-});
-
-/**
- * @swagger
- * components:
- *   schemas:
- *     User:
- *       type: object
- *       properties:
- *         id:
- *           type: string
- *         email:
- *           type: string
- *         firstName:
- *           type: string
- *         lastName:
- *           type: string
- *     AuthResponse:
- *       type: object
- *       properties:
- *         success:
- *           type: boolean
- *         message:
- *           type: string
- *         data:
- *           type: object
- *           properties:
- *             user:
- *               $ref: '#/components/schemas/User'
- *             accessToken:
- *               type: string
- */
-
-/**
- * @swagger
- * /auth/register:
- *   post:
- *     summary: Register a new user
- *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *               - firstName
- *               - lastName
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *               password:
- *                 type: string
- *                 minLength: 8
- *               firstName:
- *                 type: string
- *               lastName:
- *                 type: string
- *     responses:
- *       201:
- *         description: User registered successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
- *       400:
- *         description: Validation error
- *       409:
- *         description: User already exists
- */
-router.post('/register', async (req, res) => {
-  try {
-    // Validate input
-    const { error, value } = registerSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        details: error.details[0].message
-      });
-    }
-
-    const { email, password, firstName, lastName } = value;
-
-    // Check if user already exists
-    const existingUser = await User.findOne({ email: email.toLowerCase() });
-    if (existingUser) {
-      return res.status(409).json({
-        success: false,
-        message: 'User already exists with this email'
-      });
-    }
-
-    // Create user
-    const user = new User({
-      email: email.toLowerCase(),
-      password,
-      firstName,
-      lastName,
-      lastLogin: new Date()
-    });
-
-    await user.save();
-
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
-
-    // Store refresh token in cache
-    await cache.set(`refresh_token:${user._id}`, refreshToken, 30 * 24 * 3600); // 30 days
-
-    // Set secure cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-    });
-
-    logger.info(`New user registered: ${email}`);
-
-    res.status(201).json({
-      success: true,
-      message: 'User registered successfully',
-      data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          fullName: user.fullName
-        },
-        accessToken
-      }
-    });
-
-  } catch (error) {
-    logger.error('Registration error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during registration'
-    });
-  }
-});
-
-/**
- * @swagger
- * /auth/login:
- *   post:
- *     summary: Login user
- *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *               password:
- *                 type: string
- *     responses:
- *       200:
- *         description: Login successful
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
- *       401:
- *         description: Invalid credentials
- */
-router.post('/login', async (req, res) => {
-  try {
-    // Validate input
-    const { error, value } = loginSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        details: error.details[0].message
-      });
-    }
-
-    const { email, password } = value;
-
-    // Find user and include password field
-    const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
-
-    // Check if account is active
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Account has been deactivated. Please contact support.'
-      });
-    }
-
-    // Verify password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
-
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
-
-    // Store refresh token in cache
-    await cache.set(`refresh_token:${user._id}`, refreshToken, 30 * 24 * 3600); // 30 days
-
-    // Set secure cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-    });
-
-    logger.info(`User logged in: ${email}`);
-
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          fullName: user.fullName,
-          lastLogin: user.lastLogin,
-          preferences: user.preferences
-        },
-        accessToken
-      }
-    });
-
-  } catch (error) {
-    logger.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during login'
-    });
-  }
-});
-
-/**
- * @swagger
- * /auth/refresh:
- *   post:
- *     summary: Refresh access token
- *     tags: [Authentication]
- *     responses:
- *       200:
- *         description: Token refreshed successfully
- *       401:
- *         description: Invalid refresh token
- */
-router.post('/refresh', async (req, res) => {
-  try {
-    const refreshToken = req.cookies.refreshToken;
-    
-    if (!refreshToken) {
-      return res.status(401).json({
-        success: false,
-        message: 'Refresh token not provided'
-      });
-    }
-
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    
-    // Check if token exists in cache
-    const cachedToken = await cache.get(`refresh_token:${decoded.userId}`);
-    if (!cachedToken || cachedToken !== refreshToken) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid refresh token'
-      });
-    }
-
-    // Verify user still exists and is active
-    const user = await User.findById(decoded.userId);
-    if (!user || !user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found or account deactivated'
-      });
-    }
-
-    // Generate new access token
-    const accessToken = generateAccessToken(decoded.userId);
-
-    res.json({
-      success: true,
-      message: 'Token refreshed successfully',
-      data: { accessToken }
-    });
-
-  } catch (error) {
-    logger.error('Token refresh error:', error);
-    res.status(401).json({
-      success: false,
-      message: 'Invalid refresh token'
-    });
-  }
-});
-
-/**
- * @swagger
- * /auth/logout:
- *   post:
- *     summary: Logout user
- *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: Logout successful
- */
-router.post('/logout', auth, async (req, res) => {
-  try {
-    // Get the access token to blacklist it
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    // Blacklist the access token
-    if (token) {
-      await cache.set(`blacklist_${token}`, 'true', 15 * 60); // 15 minutes (token expiry time)
-    }
-    
-    // Remove refresh token from cache
-    await cache.del(`refresh_token:${req.user.id}`);
-    
-    // Clear refresh token cookie
-    res.clearCookie('refreshToken');
-    
-    logger.info(`User logged out: ${req.user.email}`);
-    
-    res.json({
-      success: true,
-      message: 'Logout successful'
-    });
-
-  } catch (error) {
-    logger.error('Logout error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during logout'
-    });
-  }
-});
-
-/**
- * @swagger
- * /auth/me:
- *   get:
- *     summary: Get current user profile
- *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: User profile retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: object
- *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
- */
-router.get('/me', auth, async (req, res) => {
-  try {
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: req.user._id,
-          email: req.user.email,
-          firstName: req.user.firstName,
-          lastName: req.user.lastName,
-          fullName: req.user.fullName,
-          lastLogin: req.user.lastLogin,
-          preferences: req.user.preferences,
-          createdAt: req.user.createdAt
-        }
-      }
-    });
-
-  } catch (error) {
-    logger.error('Get profile error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
-});
-
-// Helper functions
-function generateAccessToken(userId) {
-  return jwt.sign(
-    { userId, type: 'access' },
-    process.env.JWT_ACCESS_SECRET,
-    { expiresIn: '15m' }
-  );
-}
-
-function generateRefreshToken(userId) {
-  return jwt.sign(
-    { userId, type: 'refresh' },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: '30d' }
-  );
-}
-
-module.exports = router;
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const Joi = require('joi');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { cache } = require('../config/redis');
+const logger = require('../utils/logger');
+const { sendMail } = require('../utils/mailer');
+const {
+  MFA_CHALLENGE_TTL,
+  verifyRefreshToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateEmailChangeToken,
+  verifyEmailChangeToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateOpaqueToken,
+  hashToken,
+  safeCompare
+} = require('../utils/tokens');
+const {
+  createSession,
+  getSession,
+  listSessions,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessions');
+const { MFA_SECRET_FIELDS, verifySecondFactor } = require('../utils/mfa');
+const { consumePasskeyChallenge, verifyPasskeyAssertion } = require('../utils/passkeys');
+const {
+  LOCK_DURATION,
+  checkLoginAllowed,
+  recordFailedLogin,
+  unlockAccount
+} = require('../utils/loginThrottle');
+const {
+  GRACE_PERIOD_DAYS,
+  registerPurger,
+  scheduleAccountDeletion,
+  findPendingDeletion
+} = require('../utils/accountDeletion');
+const { completeLogin, setRefreshCookie } = require('../utils/login');
+const { issueCsrfToken, requireCsrfToken } = require('../middleware/csrf');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const { REAUTH_ACTIONS, reauthSchema, issueReauthCode, verifyReauthentication } = require('../utils/reauth');
+const SecurityEvent = require('../models/SecurityEvent');
+const { PASSWORD_POLICY, evaluatePassword } = require('../utils/passwordPolicy');
+const { roleOf } = require('../config/permissions');
+
+const router = express.Router();
+
+const RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+const MAGIC_LINK_TTL = 10 * 60; // 10 minutes
+const MAGIC_LINK_COOKIE = 'magicLinkNonce';
+const MAX_MFA_ATTEMPTS = 5;
+
+// Validation schemas
+// Strength is checked separately by the password policy, which needs the user's details
+const passwordRule = Joi.string().max(PASSWORD_POLICY.maxLength);
+
+const registerSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: passwordRule.required(),
+  firstName: Joi.string().min(2).max(50).required(),
+  lastName: Joi.string().min(2).max(50).required(),
+  deviceName: Joi.string().trim().max(100).optional()
+});
+
+const loginSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().required(),
+  deviceName: Joi.string().trim().max(100).optional()
+});
+
+const updateProfileSchema = Joi.object({
+  firstName: Joi.string().trim().min(2).max(50),
+  lastName: Joi.string().trim().min(2).max(50),
+  preferences: Joi.object({
+    theme: Joi.string().valid('light', 'dark', 'auto'),
+    notifications: Joi.object({
+      email: Joi.boolean(),
+      push: Joi.boolean()
+    }).min(1)
+  }).min(1)
+}).min(1);
+
+const changeEmailSchema = reauthSchema({
+  newEmail: Joi.string().email().required()
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: passwordRule.invalid(Joi.ref('currentPassword')).required()
+    .messages({
+      'any.invalid': 'New password must be different from the current password'
+    })
+});
+
+const deleteAccountSchema = reauthSchema();
+
+const reauthCodeSchema = Joi.object({
+  action: Joi.string().valid(...Object.keys(REAUTH_ACTIONS)).required()
+});
+
+const magicLinkSchema = Joi.object({
+  email: Joi.string().email().required(),
+  deviceName: Joi.string().trim().max(100).optional()
+});
+
+const magicLinkVerifySchema = Joi.object({
+  token: Joi.string().hex().length(64).required()
+});
+
+const passwordStrengthSchema = Joi.object({
+  password: Joi.string().max(PASSWORD_POLICY.maxLength).required(),
+  email: Joi.string().email().allow(''),
+  firstName: Joi.string().max(50).allow(''),
+  lastName: Joi.string().max(50).allow('')
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const securityEventsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required()
+});
+
+const mfaLoginSchema = Joi.object({
+  mfaToken: Joi.string().required(),
+  code: Joi.string().pattern(/^\d{6}$/),
+  recoveryCode: Joi.string().max(20),
+  passkey: Joi.object({
+    id: Joi.string().max(1024).required(),
+    type: Joi.string().valid('public-key').required(),
+    response: Joi.object({
+      clientDataJSON: Joi.string().max(4096).required(),
+      authenticatorData: Joi.string().max(4096).required(),
+      signature: Joi.string().max(1024).required()
+    }).unknown().required()
+  }).unknown()
+}).xor('code', 'recoveryCode', 'passkey');
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().hex().length(64).required(),
+  password: passwordRule.required()
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         email:
+ *           type: string
+ *         firstName:
+ *           type: string
+ *         lastName:
+ *           type: string
+ *         emailVerified:
+ *           type: boolean
+ *         role:
+ *           type: string
+ *           enum: [user, support, admin]
+ *     AuthResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         message:
+ *           type: string
+ *         data:
+ *           type: object
+ *           properties:
+ *             user:
+ *               $ref: '#/components/schemas/User'
+ *             accessToken:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
+ *     summary: Register a new user
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *               - firstName
+ *               - lastName
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 10
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
+ *                 description: Label for this device's session (defaults to browser and OS)
+ *     responses:
+ *       201:
+ *         description: User registered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error, or the password does not meet the policy (see passwordFeedback)
+ *       409:
+ *         description: User already exists
+ */
+router.post('/register', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = registerSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const { email, password, firstName, lastName, deviceName } = value;
+
+    const passwordFeedback = evaluatePassword(password, { email, firstName, lastName });
+    if (!passwordFeedback.valid) {
+      return rejectWeakPassword(res, passwordFeedback);
+    }
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    // Create user
+    const user = new User({
+      email: email.toLowerCase(),
+      password,
+      firstName,
+      lastName,
+      lastLogin: new Date()
+    });
+
+    await user.save();
+
+    // Start a session for this device, other devices stay signed in
+    const { accessToken, refreshToken } = await createSession(user._id, req, deviceName);
+    setRefreshCookie(res, refreshToken);
+
+    // Account is usable right away, restricted features unlock once verified
+    sendVerificationEmail(user).catch(mailError => logger.error('Verification email error:', mailError));
+
+    recordSecurityEvent(req, { type: 'account.registered', userId: user._id });
+    logger.info(`New user registered: ${email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          fullName: user.fullName,
+          emailVerified: user.emailVerified
+        },
+        accessToken,
+        csrfToken: issueCsrfToken(req, res)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during registration'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Login user
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
+ *                 description: Label for this device's session (defaults to browser and OS)
+ *     responses:
+ *       200:
+ *         description: Login successful, or `mfaRequired` with an `mfaToken` to complete at /auth/login/mfa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid credentials
+ *       423:
+ *         description: Account temporarily locked after repeated failures
+ *       429:
+ *         description: Too many failed attempts, retry after the given delay
+ */
+router.post('/login', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = loginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const { email, password, deviceName } = value;
+
+    // Per-account lockout and backoff, applied before the password is even checked
+    const throttle = await checkLoginAllowed(email.toLowerCase());
+    if (!throttle.allowed) {
+      return rejectThrottledLogin(req, res, email.toLowerCase(), throttle);
+    }
+
+    // Find user and include password field
+    const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+    if (!user) {
+      // Unknown emails are counted too, so lockouts don't reveal which accounts exist
+      return handleFailedLogin(req, res, email.toLowerCase());
+    }
+
+    // Check if account is active
+    if (!user.isActive) {
+      recordSecurityEvent(req, {
+        type: 'login',
+        outcome: 'blocked',
+        userId: user._id,
+        metadata: { reason: 'deactivated' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deactivated. Please contact support.'
+      });
+    }
+
+    // Verify password
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return handleFailedLogin(req, res, user.email, user);
+    }
+
+    // Two-factor accounts get a short-lived challenge instead of tokens
+    if (user.mfa.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          mfaRequired: true,
+          mfaToken: generateMfaChallengeToken(user._id, deviceName),
+          mfaMethods: mfaMethodsFor(user)
+        }
+      });
+    }
+
+    await completeLogin(req, res, user, deviceName);
+
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/login/mfa:
+ *   post:
+ *     summary: Complete login with a two-factor code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 description: Challenge token returned by /auth/login
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One of the one-time recovery codes
+ *               passkey:
+ *                 type: object
+ *                 description: navigator.credentials.get() result for options from /auth/passkeys/login/options
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ */
+router.post('/login/mfa', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = mfaLoginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyMfaChallengeToken(value.mfaToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    // Limit guesses per challenge, and each challenge can only complete once
+    const attempts = await cache.incr(`mfa_attempts:${challenge.jti}`);
+    await cache.expire(`mfa_attempts:${challenge.jti}`, MFA_CHALLENGE_TTL);
+    if (attempts > MAX_MFA_ATTEMPTS || await cache.exists(`mfa_used:${challenge.jti}`)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(challenge.userId).select(MFA_SECRET_FIELDS);
+    if (!user || !user.isActive || !user.mfa.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const throttle = await checkLoginAllowed(user.email);
+    if (!throttle.allowed) {
+      return rejectThrottledLogin(req, res, user.email, throttle, user);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const method = value.passkey
+      ? await verifyPasskeyFactor(user, value.passkey, challenge.jti)
+      : verifySecondFactor(user, value);
+    if (!method) {
+      return handleFailedLogin(req, res, user.email, user, {
+        reason: 'invalid_mfa_code',
+        message: 'Invalid verification code'
+      });
+    }
+
+    await cache.set(`mfa_used:${challenge.jti}`, 'true', MFA_CHALLENGE_TTL);
+
+    if (method === 'recovery_code') {
+      logger.warn(`Recovery code used for login by user: ${user._id}, ${user.mfa.recoveryCodes.length} remaining`);
+    }
+
+    await completeLogin(req, res, user, challenge.deviceName, { method: `mfa:${method}` });
+
+  } catch (error) {
+    logger.error('MFA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/magic-link:
+ *   post:
+ *     summary: Email a one-time sign-in link
+ *     description: >
+ *       The link expires after 10 minutes, works once, and only in the browser that
+ *       requested it (bound through an HTTP-only cookie set by this response). Repeat
+ *       requests within a minute are ignored and keep the earlier link's cookie.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               deviceName:
+ *                 type: string
+ *                 description: Label for the new session, e.g. "Pixel 8"
+ *     responses:
+ *       200:
+ *         description: Sign-in link sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post('/magic-link', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = magicLinkSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const email = value.email.toLowerCase();
+
+    // Same response whether or not the account exists, to avoid user enumeration
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a sign-in link has been sent'
+    };
+
+    // One sign-in email per address per minute. A throttled request leaves the cookie
+    // alone, so it can't replace the nonce of the link that was already sent.
+    const throttleKey = `magic_link_throttle:${email}`;
+    if (await cache.exists(throttleKey)) {
+      return res.json(genericResponse);
+    }
+    await cache.set(throttleKey, 'true', 60);
+
+    // The link only works together with this browser's nonce cookie
+    const { token: nonce, hash: nonceHash } = generateOpaqueToken();
+    const setNonceCookie = () => res.cookie(MAGIC_LINK_COOKIE, nonce, { ...magicLinkCookieOptions(), maxAge: MAGIC_LINK_TTL * 1000 });
+
+    const user = await User.findOne({ email });
+    if (!user || !user.isActive) {
+      // Unknown addresses get an unused cookie too, so Set-Cookie doesn't reveal the account
+      setNonceCookie();
+      return res.json(genericResponse);
+    }
+
+    // Only hashes are stored; the link's token is the key, the nonce binds the browser
+    const { token, hash } = generateOpaqueToken();
+    await cache.set(`magic_link:${hash}`, {
+      userId: user._id.toString(),
+      nonceHash,
+      deviceName: value.deviceName
+    }, MAGIC_LINK_TTL);
+
+    const signInUrl = `${process.env.FRONTEND_URL || 'https://blue-scar-front.vercel.app'}/auth/magic-link?token=${token}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your BlueScar sign-in link',
+        text: `Hi ${user.firstName},\n\nUse the link below within 10 minutes to sign in to BlueScar. It works once, and only in the browser where you asked for it:\n\n${signInUrl}\n\nIf you did not request this, you can safely ignore this email.`
+      });
+    } catch (mailError) {
+      // Don't leave a usable link behind if the user never received it
+      await cache.del(`magic_link:${hash}`);
+      throw mailError;
+    }
+
+    setNonceCookie();
+
+    recordSecurityEvent(req, { type: 'magic_link.requested', userId: user._id });
+    logger.info(`Magic link requested for: ${email}`);
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    logger.error('Magic link request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending sign-in link'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/magic-link/verify:
+ *   post:
+ *     summary: Sign in with the token from a magic link
+ *     description: Must be called from the browser that requested the link. Accounts with two-factor authentication get a challenge, as with /auth/login.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: header
+ *         name: X-CSRF-Token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from /auth/csrf
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or two-factor authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid, expired or already used link, or opened in another browser
+ *       403:
+ *         description: Missing or invalid CSRF token, or a disallowed origin
+ */
+router.post('/magic-link/verify', requireCsrfToken, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = magicLinkVerifySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    // Single use: the link is spent even if the browser check below fails
+    const key = `magic_link:${hashToken(value.token)}`;
+    const pending = await cache.get(key);
+    await cache.del(key);
+
+    const nonce = req.cookies[MAGIC_LINK_COOKIE];
+    if (!pending || !nonce || !safeCompare(hashToken(nonce), pending.nonceHash)) {
+      recordSecurityEvent(req, {
+        type: 'login',
+        outcome: 'failure',
+        userId: pending?.userId,
+        metadata: { method: 'magic_link', reason: pending ? 'browser_mismatch' : 'invalid_link' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: pending
+          ? 'This sign-in link must be opened in the browser where it was requested'
+          : 'Sign-in link is invalid, expired or has already been used'
+      });
+    }
+
+    res.clearCookie(MAGIC_LINK_COOKIE, magicLinkCookieOptions());
+
+    const user = await User.findById(pending.userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign-in link is invalid, expired or has already been used'
+      });
+    }
+
+    // Opening the link proves the address belongs to the user
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      await cache.del(`user_${user._id}`);
+    }
+
+    // Two-factor accounts get a short-lived challenge instead of tokens
+    if (user.mfa.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          mfaRequired: true,
+          mfaToken: generateMfaChallengeToken(user._id, pending.deviceName),
+          mfaMethods: mfaMethodsFor(user)
+        }
+      });
+    }
+
+    await completeLogin(req, res, user, pending.deviceName, { method: 'magic_link' });
+
+  } catch (error) {
+    logger.error('Magic link login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/csrf:
+ *   get:
+ *     summary: Get a CSRF token for cookie-authenticated requests
+ *     description: >
+ *       Sets the csrfToken cookie and returns the same value, to be sent as the
+ *       X-CSRF-Token header on /auth/refresh and /auth/magic-link/verify.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: CSRF token issued
+ */
+router.get('/csrf', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    data: { csrfToken: issueCsrfToken(req, res) }
+  });
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Refresh access token and rotate the refresh token cookie
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: header
+ *         name: X-CSRF-Token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from /auth/csrf or the login response
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *       401:
+ *         description: Invalid refresh token, or a reused one (the session is revoked)
+ *       403:
+ *         description: Missing or invalid CSRF token, or a disallowed origin
+ */
+router.post('/refresh', requireCsrfToken, async (req, res) => {
+  try {
+    const refreshToken = req.cookies.refreshToken;
+    
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token not provided'
+      });
+    }
+
+    // Verify refresh token
+    const decoded = await verifyRefreshToken(refreshToken);
+    if (decoded.type !== 'refresh') {
+      recordSecurityEvent(req, { type: 'token.refresh', outcome: 'failure', metadata: { reason: 'wrong_token_type' } });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // Verify user still exists and is active
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive) {
+      recordSecurityEvent(req, {
+        type: 'token.refresh',
+        outcome: 'failure',
+        userId: decoded.userId,
+        metadata: { reason: user ? 'deactivated' : 'user_not_found' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or account deactivated'
+      });
+    }
+
+    let rotated;
+    if (decoded.sid) {
+      rotated = await rotateSession(decoded, req);
+    } else {
+      // Token issued before per-device sessions - exchange it once for a session
+      const legacyToken = await cache.get(`refresh_token:${decoded.userId}`);
+      if (legacyToken === refreshToken) {
+        await cache.del(`refresh_token:${decoded.userId}`);
+        rotated = await createSession(user._id, req);
+      }
+    }
+
+    if (rotated && rotated.reused) {
+      recordSecurityEvent(req, {
+        type: 'token.refresh',
+        outcome: 'blocked',
+        userId: user._id,
+        metadata: { reason: 'reuse_detected', sessionId: decoded.sid }
+      });
+      res.clearCookie('refreshToken');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected. This session has been signed out.'
+      });
+    }
+
+    if (!rotated) {
+      recordSecurityEvent(req, {
+        type: 'token.refresh',
+        outcome: 'failure',
+        userId: user._id,
+        metadata: { reason: 'session_not_found', sessionId: decoded.sid }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // Every refresh hands out a new refresh token
+    setRefreshCookie(res, rotated.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: { accessToken: rotated.accessToken }
+    });
+
+  } catch (error) {
+    logger.error('Token refresh error:', error);
+    recordSecurityEvent(req, {
+      type: 'token.refresh',
+      outcome: 'failure',
+      metadata: { reason: error.name === 'TokenExpiredError' ? 'expired' : 'invalid_token' }
+    });
+    res.status(401).json({
+      success: false,
+      message: 'Invalid refresh token'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Logout user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ */
+router.post('/logout', auth, async (req, res) => {
+  try {
+    // Get the access token to blacklist it
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    
+    // Blacklist the access token
+    if (token) {
+      await cache.set(`blacklist_${token}`, 'true', 15 * 60); // 15 minutes (token expiry time)
+    }
+    
+    // End this device's session, other devices stay signed in
+    if (req.sessionId) {
+      await revokeSession(req.user._id, req.sessionId);
+    }
+    
+    // Clear refresh token cookie
+    res.clearCookie('refreshToken');
+    
+    recordSecurityEvent(req, {
+      type: 'logout',
+      userId: req.user._id,
+      metadata: { sessionId: req.sessionId, accessTokenBlacklisted: Boolean(token) }
+    });
+    logger.info(`User logged out: ${req.user.email}`);
+    
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List devices the user is signed in on
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ */
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session.id,
+          device: session.device,
+          ip: session.ip,
+          userAgent: session.userAgent,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          current: session.id === req.sessionId
+        })),
+        count: sessions.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving sessions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   delete:
+ *     summary: Sign out every device except the current one
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked successfully
+ */
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id, { exceptSessionId: req.sessionId });
+
+    recordSecurityEvent(req, { type: 'session.revoked', userId: req.user._id, metadata: { scope: 'others' } });
+    logger.info(`Other sessions revoked for user: ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other devices'
+    });
+
+  } catch (error) {
+    logger.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking sessions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out a specific device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await getSession(req.params.id);
+
+    if (!session || session.userId !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    // Its refresh token stops working and its access tokens are refused by the auth middleware
+    await revokeSession(req.user._id, session.id);
+
+    if (session.id === req.sessionId) {
+      res.clearCookie('refreshToken');
+    }
+
+    recordSecurityEvent(req, { type: 'session.revoked', userId: req.user._id, metadata: { sessionId: session.id } });
+    logger.info(`Session ${session.id} revoked by user: ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking session'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/security-events:
+ *   get:
+ *     summary: List recent security activity on the current account
+ *     description: Sign-ins, failed attempts, password and email changes, sessions and API keys, newest first.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Security events retrieved successfully
+ */
+router.get('/security-events', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = securityEventsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const { page, limit } = value;
+    const filter = { userId: req.user._id };
+
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(filter)
+        .select('type outcome ip userAgent metadata createdAt')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean(),
+      SecurityEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get security events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving security events'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Get current user profile
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: req.user._id,
+          email: req.user.email,
+          firstName: req.user.firstName,
+          lastName: req.user.lastName,
+          fullName: req.user.fullName,
+          emailVerified: req.user.emailVerified,
+          mfaEnabled: Boolean(req.user.mfa?.enabled),
+          role: roleOf(req.user),
+          lastLogin: req.user.lastLogin,
+          preferences: req.user.preferences,
+          createdAt: req.user.createdAt
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/me:
+ *   patch:
+ *     summary: Update profile names and preferences
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               preferences:
+ *                 type: object
+ *                 properties:
+ *                   theme:
+ *                     type: string
+ *                     enum: [light, dark, auto]
+ *                   notifications:
+ *                     type: object
+ *                     properties:
+ *                       email:
+ *                         type: boolean
+ *                       push:
+ *                         type: boolean
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *       400:
+ *         description: Validation error
+ */
+router.patch('/me', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = updateProfileSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    // Dotted paths so a partial preferences object doesn't wipe the other settings
+    const updates = {};
+    if (value.firstName) updates.firstName = value.firstName;
+    if (value.lastName) updates.lastName = value.lastName;
+    if (value.preferences) {
+      const { theme, notifications } = value.preferences;
+      if (theme) updates['preferences.theme'] = theme;
+      if (notifications) {
+        for (const [channel, enabled] of Object.entries(notifications)) {
+          updates[`preferences.notifications.${channel}`] = enabled;
+        }
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // The auth middleware caches the profile for 15 minutes
+    await cache.del(`user_${user._id}`);
+
+    logger.info(`Profile updated for user: ${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          fullName: user.fullName,
+          emailVerified: user.emailVerified,
+          mfaEnabled: user.mfa.enabled,
+          lastLogin: user.lastLogin,
+          preferences: user.preferences,
+          createdAt: user.createdAt
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating profile'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/reauth/code:
+ *   post:
+ *     summary: Email a confirmation code for a sensitive change
+ *     description: >
+ *       For accounts without a password (created through single sign-on), which confirm
+ *       deleting the account, changing the email address, turning two-factor
+ *       authentication on or off or adding or removing a passkey with this code instead. The code is valid for
+ *       10 minutes, works once, and only for the action it was requested for.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [delete_account, change_email, register_mfa, disable_mfa, register_passkey, remove_passkey]
+ *     responses:
+ *       200:
+ *         description: Confirmation code sent
+ *       400:
+ *         description: Validation error, or the account has a password
+ *       429:
+ *         description: A code was sent less than a minute ago
+ */
+router.post('/reauth/code', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = reauthCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.hasPassword !== false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Confirm with your password instead'
+      });
+    }
+
+    // One code per account per minute
+    const throttleKey = `reauth_code_throttle:${user._id}`;
+    if (await cache.exists(throttleKey)) {
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait a minute before requesting another code'
+      });
+    }
+    await cache.set(throttleKey, 'true', 60);
+
+    const code = await issueReauthCode(user, value.action);
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your BlueScar confirmation code',
+      text: `Hi ${user.firstName},\n\nYour code to ${REAUTH_ACTIONS[value.action]} is ${code}. It expires in 10 minutes.\n\nIf you did not ask for this, someone may have access to your signed-in session: sign out of your other devices from your account settings.`
+    });
+
+    logger.info(`Re-authentication code sent to user: ${user._id}, for ${value.action}`);
+
+    res.json({
+      success: true,
+      message: 'We sent a confirmation code to your email address'
+    });
+
+  } catch (error) {
+    logger.error('Re-authentication code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending confirmation code'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/me:
+ *   delete:
+ *     summary: Delete the current account
+ *     description: Schedules the account for deletion, signs out every device and suspends the account's API keys. Signing in again before the grace period ends cancels the deletion; afterwards all of the user's data is purged.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               emailCode:
+ *                 type: string
+ *                 description: Code from /auth/reauth/code, for accounts without a password
+ *               code:
+ *                 type: string
+ *                 description: Authenticator code, required when two-factor authentication is enabled
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Account scheduled for deletion
+ *       401:
+ *         description: Invalid password or verification code
+ *       409:
+ *         description: Account is already scheduled for deletion
+ */
+router.delete('/me', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = deleteAccountSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${MFA_SECRET_FIELDS}`);
+
+    // A flag left behind without a deletion in progress doesn't block a new request
+    if (user.deletionScheduledFor && await findPendingDeletion(user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Account is already scheduled for deletion',
+        data: { deletionScheduledFor: user.deletionScheduledFor }
+      });
+    }
+
+    if (!(await verifyReauthentication(req, user, value, 'delete_account'))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    const deletionScheduledFor = await scheduleAccountDeletion(user, req.ip);
+
+    await revokeAllSessions(user._id);
+    await cache.del(`user_${user._id}`);
+    res.clearCookie('refreshToken');
+
+    sendMail({
+      to: user.email,
+      subject: 'Your BlueScar account is scheduled for deletion',
+      text: `Hi ${user.firstName},\n\nYour BlueScar account and all of its data will be permanently deleted on ${deletionScheduledFor.toUTCString()}.\n\nChanged your mind? Just sign in again before then and the deletion will be cancelled.`
+    }).catch(mailError => logger.error('Account deletion notification error:', mailError));
+
+    recordSecurityEvent(req, { type: 'account.deletion_scheduled', userId: user._id, metadata: { deletionScheduledFor } });
+    logger.info(`Account deletion scheduled for user: ${user._id}, on ${deletionScheduledFor.toISOString()}`);
+
+    res.status(202).json({
+      success: true,
+      message: `Account scheduled for deletion. Sign in within ${GRACE_PERIOD_DAYS} days to cancel.`,
+      data: { deletionScheduledFor }
+    });
+
+  } catch (error) {
+    logger.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting account'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/me/email:
+ *   post:
+ *     summary: Request an email address change
+ *     description: Sends a confirmation link to the new address. The current address stays in use until the link is opened.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newEmail
+ *             properties:
+ *               newEmail:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *               emailCode:
+ *                 type: string
+ *                 description: Code from /auth/reauth/code, for accounts without a password
+ *               code:
+ *                 type: string
+ *                 description: Authenticator code, required when two-factor authentication is enabled
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Confirmation link sent to the new address
+ *       401:
+ *         description: Invalid password or verification code
+ *       409:
+ *         description: Email address already in use
+ */
+router.post('/me/email', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = changeEmailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const newEmail = value.newEmail.toLowerCase();
+
+    const user = await User.findById(req.user._id).select(`+password ${MFA_SECRET_FIELDS}`);
+    if (!(await verifyReauthentication(req, user, value, 'change_email'))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'New email must be different from the current one'
+      });
+    }
+
+    const existingUser = await User.findOne({ email: newEmail });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email address is already in use'
+      });
+    }
+
+    // Only the latest requested address can be confirmed
+    user.pendingEmail = newEmail;
+    await user.save();
+
+    const token = generateEmailChangeToken(user._id, newEmail);
+    const confirmUrl = `${process.env.FRONTEND_URL || 'https://blue-scar-front.vercel.app'}/confirm-email?token=${token}`;
+
+    await sendMail({
+      to: newEmail,
+      subject: 'Confirm your new BlueScar email address',
+      text: `Hi ${user.firstName},\n\nPlease confirm that you want to use this address for your BlueScar account by opening the link below within 24 hours:\n\n${confirmUrl}\n\nIf you did not request this change, you can ignore this email.`
+    });
+
+    recordSecurityEvent(req, { type: 'email.change_requested', userId: user._id });
+    logger.info(`Email change requested for user: ${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'We sent a confirmation link to your new email address'
+    });
+
+  } catch (error) {
+    logger.error('Change email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting email change'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/me/email/confirm:
+ *   post:
+ *     summary: Confirm an email address change
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email address changed successfully
+ *       400:
+ *         description: Invalid or expired confirmation link
+ *       409:
+ *         description: Email address already in use
+ */
+router.post('/me/email/confirm', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = verifyEmailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyEmailChangeToken(value.token);
+    } catch (tokenError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired confirmation link'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || user.pendingEmail !== decoded.newEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired confirmation link'
+      });
+    }
+
+    // The address may have been registered since the change was requested
+    const existingUser = await User.findOne({ email: decoded.newEmail });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email address is already in use'
+      });
+    }
+
+    const previousEmail = user.email;
+    user.email = decoded.newEmail;
+    user.pendingEmail = undefined;
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    await cache.del(`user_${user._id}`);
+
+    // Let the old address know, in case the change wasn't made by its owner
+    sendMail({
+      to: previousEmail,
+      subject: 'Your BlueScar email address was changed',
+      text: `Hi ${user.firstName},\n\nThe email address on your BlueScar account was changed to ${user.email}.\n\nIf you did not make this change, contact support immediately.`
+    }).catch(mailError => logger.error('Email change notification error:', mailError));
+
+    recordSecurityEvent(req, { type: 'email.changed', userId: user._id });
+    logger.info(`Email changed for user: ${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Email address changed successfully',
+      data: { email: user.email }
+    });
+
+  } catch (error) {
+    logger.error('Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error confirming email change'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Change password and sign out all other devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 10
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Validation error, or the new password does not meet the policy (see passwordFeedback)
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.post('/change-password', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = changePasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    const isMatch = await user.comparePassword(value.currentPassword);
+    if (!isMatch) {
+      recordSecurityEvent(req, { type: 'reauthentication', outcome: 'failure', userId: user._id, metadata: { action: 'change_password' } });
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const passwordFeedback = evaluatePassword(value.newPassword, user);
+    if (!passwordFeedback.valid) {
+      return rejectWeakPassword(res, passwordFeedback);
+    }
+
+    // Rehashed by the pre-save hook; an outstanding reset link is no longer needed
+    user.password = value.newPassword;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    // Everyone else is signed out, this device keeps its session
+    await revokeAllSessions(user._id, { exceptSessionId: req.sessionId });
+    await cache.del(`user_${user._id}`);
+
+    sendMail({
+      to: user.email,
+      subject: 'Your BlueScar password was changed',
+      text: `Hi ${user.firstName},\n\nThe password for your BlueScar account was just changed and your other devices have been signed out.\n\nIf this wasn't you, reset your password and contact support immediately.`
+    }).catch(mailError => logger.error('Password change notification error:', mailError));
+
+    recordSecurityEvent(req, { type: 'password.changed', userId: user._id });
+    logger.info(`Password changed for user: ${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Other devices have been signed out.'
+    });
+
+  } catch (error) {
+    logger.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error changing password'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/password-strength:
+ *   post:
+ *     summary: Check a candidate password against the password policy
+ *     description: >
+ *       Returns the same feedback that register, change-password and reset-password
+ *       reject weak passwords with. Send the user's email and name so passwords
+ *       containing them are flagged.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password feedback (valid, score 0-4, strength, errors, suggestions) and the policy
+ */
+router.post('/password-strength', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = passwordStrengthSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const { password, ...context } = value;
+
+    res.json({
+      success: true,
+      data: {
+        passwordFeedback: evaluatePassword(password, context),
+        policy: PASSWORD_POLICY
+      }
+    });
+
+  } catch (error) {
+    logger.error('Password strength error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking password strength'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const email = value.email.toLowerCase();
+
+    // Same response whether or not the account exists, to avoid user enumeration
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    // One reset email per address per minute
+    const throttleKey = `password_reset_throttle:${email}`;
+    if (await cache.exists(throttleKey)) {
+      return res.json(genericResponse);
+    }
+    await cache.set(throttleKey, 'true', 60);
+
+    const user = await User.findOne({ email });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    // Only the hash is stored, a new request replaces any outstanding token
+    const { token, hash } = generateOpaqueToken();
+    user.resetPasswordToken = hash;
+    user.resetPasswordExpire = new Date(Date.now() + RESET_TOKEN_TTL);
+    await user.save();
+
+    const resetUrl = `${process.env.FRONTEND_URL || 'https://blue-scar-front.vercel.app'}/reset-password?token=${token}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your BlueScar password',
+        text: `Hi ${user.firstName},\n\nWe received a request to reset your BlueScar password. Use the link below within the next hour:\n\n${resetUrl}\n\nIf you did not request this, you can safely ignore this email.`
+      });
+    } catch (mailError) {
+      // Don't leave a usable token behind if the user never received it
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save();
+      throw mailError;
+    }
+
+    recordSecurityEvent(req, { type: 'password.reset_requested', userId: user._id });
+    logger.info(`Password reset requested for: ${email}`);
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Reset password with a reset token
+ *     description: Signs out every device and clears any lockout from failed sign-in attempts.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 10
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error, invalid/expired token, or the password does not meet the policy
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: hashToken(value.token),
+      resetPasswordExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // The token stays valid, so the user can retry with a stronger password
+    const passwordFeedback = evaluatePassword(value.password, user);
+    if (!passwordFeedback.valid) {
+      return rejectWeakPassword(res, passwordFeedback);
+    }
+
+    // Password is rehashed by the pre-save hook, token is single-use
+    user.password = value.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    // Proving control of the inbox lifts a lockout from failed attempts on the old password
+    const wasLocked = await unlockAccount(user.email);
+
+    // Sign the user out everywhere
+    await revokeAllSessions(user._id);
+    await cache.del(`user_${user._id}`);
+    res.clearCookie('refreshToken');
+
+    sendMail({
+      to: user.email,
+      subject: 'Your BlueScar password was changed',
+      text: `Hi ${user.firstName},\n\nThe password for your BlueScar account was just reset and all devices have been signed out.\n\nIf this wasn't you, contact support immediately.`
+    }).catch(mailError => logger.error('Password change notification error:', mailError));
+
+    recordSecurityEvent(req, { type: 'password.reset', userId: user._id, metadata: { wasLocked } });
+    logger.info(`Password reset completed for: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Verify email address with the link token sent at signup
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification token
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = verifyEmailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(value.token);
+    } catch (tokenError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    // The link is only valid for the address it was sent to
+    const user = await User.findById(decoded.userId);
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      // Drop the cached profile so restrictions lift immediately
+      await cache.del(`user_${user._id}`);
+
+      recordSecurityEvent(req, { type: 'email.verified', userId: user._id });
+      logger.info(`Email verified: ${user.email}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    logger.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/verify-email/resend:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       429:
+ *         description: Verification email requested too recently
+ */
+router.post('/verify-email/resend', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    // One verification email per minute
+    const throttleKey = `email_verification_throttle:${req.user._id}`;
+    if (await cache.exists(throttleKey)) {
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait a minute before requesting another verification email'
+      });
+    }
+    await cache.set(throttleKey, 'true', 60);
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email'
+    });
+  }
+});
+
+// Remove the user's sessions and auth state when their account is deleted
+registerPurger('auth', async (userId, user) => {
+  const sessions = await listSessions(userId);
+  await revokeAllSessions(userId);
+
+  await cache.del(`user_${userId}`);
+  await cache.del(`refresh_token:${userId}`);
+  await cache.del(`email_verification_throttle:${userId}`);
+  await cache.del(`reauth_code:${userId}`);
+  await cache.del(`reauth_code_attempts:${userId}`);
+  await cache.del(`mfa_setup:${userId}`);
+
+  if (user) {
+    await cache.del(`password_reset_throttle:${user.email}`);
+    await unlockAccount(user.email);
+  }
+
+  return sessions.length;
+});
+
+// Security events are kept until they expire, without the user's personal data
+registerPurger('securityEvents', (userId, user) => SecurityEvent.anonymizeUser(userId, user?.email));
+
+// Helper functions
+
+function magicLinkCookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth/magic-link'
+  };
+}
+
+// Second factors the user can answer a login challenge with
+function mfaMethodsFor(user) {
+  return ['totp', 'recovery_code', ...(user.passkeys?.length ? ['passkey'] : [])];
+}
+
+// A passkey assertion answering the login challenge `mfaJti`; returns the method or null
+async function verifyPasskeyFactor(user, credential, mfaJti) {
+  const issued = await consumePasskeyChallenge(credential, 'mfa');
+  if (!issued || issued.mfaJti !== mfaJti) {
+    return null;
+  }
+  return verifyPasskeyAssertion(user, credential, { challenge: issued.challenge }) ? 'passkey' : null;
+}
+
+function rejectWeakPassword(res, passwordFeedback) {
+  res.status(400).json({
+    success: false,
+    message: 'Password does not meet the password policy',
+    details: passwordFeedback.errors[0].message,
+    passwordFeedback
+  });
+}
+
+function rejectThrottledLogin(req, res, email, { locked, retryAfter }, user) {
+  recordSecurityEvent(req, {
+    type: 'login',
+    outcome: 'blocked',
+    userId: user?._id,
+    email: user ? undefined : email,
+    metadata: { reason: locked ? 'locked' : 'backoff', retryAfter }
+  });
+
+  res.set('Retry-After', String(retryAfter));
+  res.status(locked ? 423 : 429).json({
+    success: false,
+    message: locked
+      ? 'Account temporarily locked due to too many failed login attempts. Please try again later or reset your password.'
+      : 'Too many failed login attempts. Please wait before trying again.',
+    retryAfter
+  });
+}
+
+async function handleFailedLogin(req, res, email, user, {
+  reason = user ? 'invalid_password' : 'unknown_email',
+  message = 'Invalid email or password'
+} = {}) {
+  const { locked, retryAfter } = await recordFailedLogin(email, req.ip);
+
+  recordSecurityEvent(req, {
+    type: 'login',
+    outcome: 'failure',
+    userId: user?._id,
+    email: user ? undefined : email,
+    metadata: { reason }
+  });
+
+  if (locked) {
+    recordSecurityEvent(req, {
+      type: 'account.locked',
+      outcome: 'blocked',
+      userId: user?._id,
+      email: user ? undefined : email,
+      metadata: { lockDuration: LOCK_DURATION }
+    });
+  }
+
+  if (locked && user) {
+    sendMail({
+      to: user.email,
+      subject: 'Your BlueScar account has been locked',
+      text: `Hi ${user.firstName},\n\nWe locked your BlueScar account for ${Math.round(LOCK_DURATION / 60)} minutes after several failed sign-in attempts (last attempt from IP ${req.ip}).\n\nIf this was you, wait and try again, or reset your password. If it wasn't, we recommend resetting your password and enabling two-factor authentication.`
+    }).catch(mailError => logger.error('Account lock notification error:', mailError));
+  }
+
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+  }
+
+  res.status(401).json({
+    success: false,
+    message,
+    ...(retryAfter && { retryAfter })
+  });
+}
+
+async function sendVerificationEmail(user) {
+  const token = generateEmailVerificationToken(user._id, user.email);
+  const verifyUrl = `${process.env.FRONTEND_URL || 'https://blue-scar-front.vercel.app'}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your BlueScar email address',
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening the link below within 24 hours:\n\n${verifyUrl}\n\nIf you did not create a BlueScar account, you can ignore this email.`
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,405 @@
+const express = require('express');
+const Joi = require('joi');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { cache } = require('../config/redis');
+const logger = require('../utils/logger');
+const { generateSecret, verifyCode, buildOtpAuthUri } = require('../utils/totp');
+const { MFA_SECRET_FIELDS, generateRecoveryCodes, verifySecondFactor } = require('../utils/mfa');
+const { hashToken } = require('../utils/tokens');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const { REAUTH_CODE_TTL, reauthSchema, verifyReauthentication } = require('../utils/reauth');
+
+const router = express.Router();
+
+// Validation schemas
+const setupMfaSchema = reauthSchema();
+
+const enableMfaSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required()
+});
+
+const secondFactorSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/),
+  recoveryCode: Joi.string().max(20)
+}).xor('code', 'recoveryCode');
+
+const disableMfaSchema = reauthSchema().xor('code', 'recoveryCode');
+
+/**
+ * @swagger
+ * /auth/mfa:
+ *   get:
+ *     summary: Get two-factor authentication status
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status retrieved successfully
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+mfa.recoveryCodes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.mfa.enabled,
+        enabledAt: user.mfa.enabledAt,
+        recoveryCodesRemaining: user.mfa.enabled ? user.mfa.recoveryCodes.length : 0
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get MFA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving two-factor status'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/mfa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: >
+ *       Returns a new TOTP secret and the otpauth:// URI to render as a QR code. Requires
+ *       the password (or, for accounts without one, a code from /auth/reauth/code). Not
+ *       active until confirmed with /auth/mfa/enable within 10 minutes.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               emailCode:
+ *                 type: string
+ *                 description: Code from /auth/reauth/code, instead of the password for accounts without one
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *       400:
+ *         description: Two-factor authentication already enabled
+ *       401:
+ *         description: Invalid password or verification code
+ */
+router.post('/setup', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = setupMfaSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${MFA_SECRET_FIELDS} +mfa.pendingSecret`);
+
+    if (user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!(await verifyReauthentication(req, user, value, 'register_mfa'))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    const secret = generateSecret();
+    user.mfa.pendingSecret = secret;
+    await user.save();
+
+    // Only an enrollment started after re-authentication can be enabled
+    await cache.set(`mfa_setup:${user._id}`, hashToken(secret), REAUTH_CODE_TTL);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpAuthUri({ secret, accountName: user.email })
+      }
+    });
+
+  } catch (error) {
+    logger.error('MFA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting two-factor setup'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/mfa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a code from the authenticator app
+ *     description: >
+ *       Needs an enrollment from /auth/mfa/setup, started after re-authentication in the
+ *       last 10 minutes. Returns one-time recovery codes. They are only shown once.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code, or no enrollment in progress or it has expired
+ */
+router.post('/enable', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = enableMfaSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`${MFA_SECRET_FIELDS} +mfa.pendingSecret`);
+
+    if (user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const issued = await cache.get(`mfa_setup:${user._id}`);
+    if (!user.mfa.pendingSecret || issued !== hashToken(user.mfa.pendingSecret)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor setup has expired or was not started. Please start again.'
+      });
+    }
+
+    const step = verifyCode(user.mfa.pendingSecret, value.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.mfa.enabled = true;
+    user.mfa.enabledAt = new Date();
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.lastUsedStep = step;
+    user.mfa.recoveryCodes = hashes;
+    await user.save();
+
+    await cache.del(`mfa_setup:${user._id}`);
+    await cache.del(`user_${user._id}`);
+
+    recordSecurityEvent(req, { type: 'mfa.enabled', userId: user._id });
+    logger.info(`Two-factor authentication enabled for user: ${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes: codes }
+    });
+
+  } catch (error) {
+    logger.error('MFA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error enabling two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/mfa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               emailCode:
+ *                 type: string
+ *                 description: Code from /auth/reauth/code, instead of the password for accounts without one
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid password or code
+ */
+router.post('/disable', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = disableMfaSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${MFA_SECRET_FIELDS}`);
+
+    if (!user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifyReauthentication(req, user, value, 'disable_mfa'))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    user.mfa.enabled = false;
+    user.mfa.enabledAt = undefined;
+    user.mfa.secret = undefined;
+    user.mfa.lastUsedStep = undefined;
+    user.mfa.recoveryCodes = [];
+    await user.save();
+
+    await cache.del(`user_${user._id}`);
+
+    recordSecurityEvent(req, { type: 'mfa.disabled', userId: user._id });
+    logger.info(`Two-factor authentication disabled for user: ${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    logger.error('MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Invalidates every previous recovery code.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes generated
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/recovery-codes', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = secondFactorSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(MFA_SECRET_FIELDS);
+
+    if (!user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!verifySecondFactor(user, value)) {
+      recordSecurityEvent(req, { type: 'reauthentication', outcome: 'failure', userId: user._id, metadata: { action: 'regenerate_recovery_codes' } });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.mfa.recoveryCodes = hashes;
+    await user.save();
+
+    recordSecurityEvent(req, { type: 'mfa.recovery_codes_regenerated', userId: user._id });
+    logger.info(`Recovery codes regenerated for user: ${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes: codes }
+    });
+
+  } catch (error) {
+    logger.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error regenerating recovery codes'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,534 @@
+const express = require('express');
+const Joi = require('joi');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { cache } = require('../config/redis');
+const { providers, getProvider } = require('../config/oidc');
+const logger = require('../utils/logger');
+const { sendMail } = require('../utils/mailer');
+const { generateMfaChallengeToken, generateOpaqueToken, hashToken } = require('../utils/tokens');
+const { createAuthorizationParams, buildAuthorizationUrl, completeAuthorization } = require('../utils/oidc');
+const { completeLogin } = require('../utils/login');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+
+const router = express.Router();
+
+// Pending authorization requests live in Redis under their state, and the browser that
+// started them gets a matching cookie, so a callback can't be replayed in another browser.
+// A finished login hands the SPA a one-time code in the URL fragment, which it exchanges
+// for the usual token pair.
+const STATE_TTL = 10 * 60; // seconds
+const LOGIN_CODE_TTL = 60; // seconds
+const STATE_COOKIE = 'oidc_state';
+const FRONTEND_CALLBACK_URL = `${process.env.FRONTEND_URL || 'https://blue-scar-front.vercel.app'}/auth/oidc/callback`;
+
+// Validation schemas
+const authorizeSchema = Joi.object({
+  deviceName: Joi.string().trim().max(100).optional()
+});
+
+const callbackSchema = Joi.object({
+  state: Joi.string().max(100).required(),
+  code: Joi.string().max(2048),
+  error: Joi.string().max(100),
+  error_description: Joi.string().max(1000)
+}).unknown(true);
+
+const exchangeSchema = Joi.object({
+  code: Joi.string().hex().length(64).required()
+});
+
+/**
+ * @swagger
+ * /auth/oidc/providers:
+ *   get:
+ *     summary: List the configured OpenID Connect providers
+ *     tags: [Single Sign-On]
+ *     responses:
+ *       200:
+ *         description: Providers retrieved successfully
+ */
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: providers.map(provider => ({
+        id: provider.id,
+        name: provider.name,
+        authorizeUrl: `/api/auth/oidc/${provider.id}/authorize`
+      }))
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /auth/oidc/{provider}/authorize:
+ *   get:
+ *     summary: Start signing in with a provider
+ *     description: Redirects the browser to the provider. After the callback the browser lands on the frontend's /auth/oidc/callback with a one-time `code` (or an `mfaToken`, or an `error`) in the URL fragment.
+ *     tags: [Single Sign-On]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: deviceName
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider
+ *       404:
+ *         description: Unknown provider
+ */
+router.get('/:provider/authorize', async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown sign-in provider'
+      });
+    }
+
+    const { error, value } = authorizeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const authorizationUrl = await startAuthorization(res, provider, { mode: 'login', deviceName: value.deviceName });
+    res.redirect(authorizationUrl);
+
+  } catch (error) {
+    logger.error('OIDC authorize error:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Sign-in provider is unavailable'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/oidc/{provider}/link:
+ *   post:
+ *     summary: Start linking a provider identity to the current account
+ *     description: Returns the provider URL to send the browser to. The request must be made with credentials so the state cookie is stored.
+ *     tags: [Single Sign-On]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authorization URL created
+ *       404:
+ *         description: Unknown provider
+ */
+router.post('/:provider/link', auth, async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown sign-in provider'
+      });
+    }
+
+    const authorizationUrl = await startAuthorization(res, provider, {
+      mode: 'link',
+      userId: req.user._id.toString()
+    });
+
+    res.json({
+      success: true,
+      data: { authorizationUrl }
+    });
+
+  } catch (error) {
+    logger.error('OIDC link error:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Sign-in provider is unavailable'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/oidc/{provider}/callback:
+ *   get:
+ *     summary: Redirect URI registered with the provider
+ *     tags: [Single Sign-On]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend with the result in the URL fragment
+ */
+router.get('/:provider/callback', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+
+  try {
+    const { error, value } = callbackSchema.validate(req.query);
+    if (!provider || error) {
+      return redirectToFrontend(res, { error: 'invalid_request' });
+    }
+
+    // Single use, and only in the browser that started the flow
+    const pending = await cache.get(`oidc_state:${value.state}`);
+    await cache.del(`oidc_state:${value.state}`);
+    res.clearCookie(STATE_COOKIE, stateCookieOptions());
+
+    if (!pending || pending.provider !== provider.id || req.cookies[STATE_COOKIE] !== value.state) {
+      recordSecurityEvent(req, {
+        type: 'oidc.callback',
+        outcome: 'blocked',
+        userId: pending?.userId,
+        metadata: { provider: provider.id, reason: 'invalid_state' }
+      });
+      return redirectToFrontend(res, { error: 'invalid_state' });
+    }
+
+    if (value.error || !value.code) {
+      logger.warn(`OIDC ${provider.id} returned error: ${value.error} ${value.error_description || ''}`);
+      return redirectToFrontend(res, { error: value.error === 'access_denied' ? 'access_denied' : 'provider_error' });
+    }
+
+    const claims = await completeAuthorization(provider, {
+      code: value.code,
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce
+    });
+
+    if (pending.mode === 'link') {
+      return await finishLink(req, res, provider, claims, pending.userId);
+    }
+
+    await finishLogin(req, res, provider, claims, pending.deviceName);
+
+  } catch (error) {
+    logger.error(`OIDC callback error${provider ? ` for ${provider.id}` : ''}:`, error);
+    redirectToFrontend(res, { error: 'server_error' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/oidc/exchange:
+ *   post:
+ *     summary: Exchange the one-time code from the callback for tokens
+ *     tags: [Single Sign-On]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid or expired code
+ */
+router.post('/exchange', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = exchangeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const key = `oidc_login:${hashToken(value.code)}`;
+    const pending = await cache.get(key);
+    await cache.del(key);
+
+    const user = pending && await User.findById(pending.userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired sign-in code'
+      });
+    }
+
+    await completeLogin(req, res, user, pending.deviceName, { method: `oidc:${pending.provider}` });
+
+  } catch (error) {
+    logger.error('OIDC exchange error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/oidc/identities:
+ *   get:
+ *     summary: List the provider identities linked to the current account
+ *     tags: [Single Sign-On]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked identities retrieved successfully
+ */
+router.get('/identities', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        hasPassword: user.hasPassword !== false,
+        identities: user.identities.map(formatIdentity)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get identities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving linked accounts'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/oidc/identities/{provider}:
+ *   delete:
+ *     summary: Unlink a provider identity
+ *     description: Refused when it is the account's only way to sign in.
+ *     tags: [Single Sign-On]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Identity unlinked
+ *       400:
+ *         description: Last remaining sign-in method
+ *       404:
+ *         description: No identity linked for this provider
+ */
+router.delete('/identities/:provider', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const identity = user.identities.find(item => item.provider === req.params.provider);
+
+    if (!identity) {
+      return res.status(404).json({
+        success: false,
+        message: 'No linked account for this provider'
+      });
+    }
+
+    if (user.hasPassword === false && user.identities.length === 1 && !user.passkeys.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is your only way to sign in. Set a password with "Forgot password" before unlinking it.'
+      });
+    }
+
+    user.identities.pull(identity._id);
+    await user.save();
+    await cache.del(`user_${user._id}`);
+
+    recordSecurityEvent(req, { type: 'oidc.identity_unlinked', userId: user._id, metadata: { provider: req.params.provider } });
+    logger.info(`OIDC identity ${req.params.provider} unlinked from user: ${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Account unlinked successfully',
+      data: { identities: user.identities.map(formatIdentity) }
+    });
+
+  } catch (error) {
+    logger.error('Unlink identity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlinking account'
+    });
+  }
+});
+
+// Helper functions
+function stateCookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax', // must survive the top-level redirect back from the provider
+    path: '/api/auth/oidc'
+  };
+}
+
+async function startAuthorization(res, provider, { mode, userId, deviceName }) {
+  const { state, nonce, codeVerifier, codeChallenge } = createAuthorizationParams();
+  const authorizationUrl = await buildAuthorizationUrl(provider, { state, nonce, codeChallenge });
+
+  await cache.set(`oidc_state:${state}`, {
+    provider: provider.id,
+    mode,
+    userId,
+    deviceName,
+    nonce,
+    codeVerifier
+  }, STATE_TTL);
+
+  res.cookie(STATE_COOKIE, state, { ...stateCookieOptions(), maxAge: STATE_TTL * 1000 });
+  return authorizationUrl;
+}
+
+function redirectToFrontend(res, params) {
+  res.redirect(`${FRONTEND_CALLBACK_URL}#${new URLSearchParams(params).toString()}`);
+}
+
+function formatIdentity(identity) {
+  const provider = getProvider(identity.provider);
+  return {
+    provider: identity.provider,
+    providerName: provider ? provider.name : identity.provider,
+    email: identity.email,
+    linkedAt: identity.linkedAt,
+    lastUsedAt: identity.lastUsedAt
+  };
+}
+
+function findUserByIdentity(provider, subject) {
+  return User.findOne({
+    identities: { $elemMatch: { provider: provider.id, subject } }
+  });
+}
+
+// Signs in the owner of the identity, linking it by verified email or creating an account
+async function finishLogin(req, res, provider, claims, deviceName) {
+  let user = await findUserByIdentity(provider, claims.sub);
+
+  if (!user) {
+    if (!claims.email || claims.email_verified !== true) {
+      return redirectToFrontend(res, { error: 'email_not_verified' });
+    }
+
+    const email = claims.email.toLowerCase();
+    user = await User.findOne({ email });
+
+    if (user) {
+      // Someone could have registered this address without owning it; only a verified
+      // account is safe to hand to whoever controls the provider identity
+      if (!user.emailVerified) {
+        return redirectToFrontend(res, { error: 'account_not_verified' });
+      }
+
+      user.identities.push({ provider: provider.id, subject: claims.sub, email });
+      notifyIdentityLinked(user, provider);
+      recordSecurityEvent(req, { type: 'oidc.identity_linked', userId: user._id, metadata: { provider: provider.id, by: 'verified_email' } });
+      logger.info(`OIDC identity ${provider.id} linked by verified email to user: ${user._id}`);
+    } else {
+      user = new User({
+        email,
+        firstName: (claims.given_name || claims.name?.split(' ')[0] || 'BlueScar').slice(0, 50),
+        lastName: (claims.family_name || claims.name?.split(' ').slice(1).join(' ') || 'User').slice(0, 50),
+        hasPassword: false,
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        identities: [{ provider: provider.id, subject: claims.sub, email }]
+      });
+      recordSecurityEvent(req, { type: 'account.registered', userId: user._id, metadata: { provider: provider.id } });
+      logger.info(`New user registered through OIDC ${provider.id}: ${email}`);
+    }
+  }
+
+  if (!user.isActive) {
+    return redirectToFrontend(res, { error: 'account_deactivated' });
+  }
+
+  user.identities.find(item => item.provider === provider.id && item.subject === claims.sub).lastUsedAt = new Date();
+  await user.save();
+
+  // Two-factor accounts continue with the usual challenge
+  if (user.mfa.enabled) {
+    return redirectToFrontend(res, { mfaToken: generateMfaChallengeToken(user._id, deviceName) });
+  }
+
+  const { token, hash } = generateOpaqueToken();
+  await cache.set(`oidc_login:${hash}`, { userId: user._id.toString(), provider: provider.id, deviceName }, LOGIN_CODE_TTL);
+
+  redirectToFrontend(res, { code: token });
+}
+
+async function finishLink(req, res, provider, claims, userId) {
+  const owner = await findUserByIdentity(provider, claims.sub);
+  if (owner) {
+    return redirectToFrontend(res, {
+      error: owner._id.toString() === userId ? 'already_linked' : 'identity_in_use'
+    });
+  }
+
+  const user = await User.findById(userId);
+  if (!user || !user.isActive) {
+    return redirectToFrontend(res, { error: 'invalid_state' });
+  }
+
+  if (user.identities.some(item => item.provider === provider.id)) {
+    return redirectToFrontend(res, { error: 'provider_already_linked' });
+  }
+
+  user.identities.push({
+    provider: provider.id,
+    subject: claims.sub,
+    email: claims.email?.toLowerCase()
+  });
+  await user.save();
+  await cache.del(`user_${user._id}`);
+
+  notifyIdentityLinked(user, provider);
+  recordSecurityEvent(req, { type: 'oidc.identity_linked', userId: user._id, metadata: { provider: provider.id } });
+  logger.info(`OIDC identity ${provider.id} linked to user: ${user._id}`);
+
+  redirectToFrontend(res, { linked: provider.id });
+}
+
+function notifyIdentityLinked(user, provider) {
+  sendMail({
+    to: user.email,
+    subject: `${provider.name} sign-in was added to your BlueScar account`,
+    text: `Hi ${user.firstName},\n\nYou can now sign in to BlueScar with ${provider.name}.\n\nIf this wasn't you, unlink it from your account settings and change your password.`
+  }).catch(mailError => logger.error('Identity linked notification error:', mailError));
+}
+
+module.exports = router;
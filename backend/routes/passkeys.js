@@ -0,0 +1,689 @@
+const express = require('express');
+const Joi = require('joi');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { cache } = require('../config/redis');
+const logger = require('../utils/logger');
+const { sendMail } = require('../utils/mailer');
+const { rpId, rpName, origins } = require('../config/webauthn');
+const { COSE_ALGORITHMS, verifyRegistration } = require('../utils/webauthn');
+const {
+  MAX_PASSKEYS,
+  createPasskeyChallenge,
+  consumePasskeyChallenge,
+  verifyPasskeyAssertion
+} = require('../utils/passkeys');
+const { verifyMfaChallengeToken } = require('../utils/tokens');
+const { completeLogin } = require('../utils/login');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const { MFA_SECRET_FIELDS } = require('../utils/mfa');
+const { reauthSchema, verifyReauthentication } = require('../utils/reauth');
+
+const router = express.Router();
+
+const CEREMONY_TIMEOUT = 5 * 60 * 1000; // matches the challenge lifetime
+
+// Validation schemas
+const credentialRule = Joi.object({
+  id: Joi.string().max(1024).required(),
+  rawId: Joi.string().max(1024),
+  type: Joi.string().valid('public-key').required(),
+  response: Joi.object({
+    clientDataJSON: Joi.string().max(4096).required(),
+    attestationObject: Joi.string().max(16384),
+    authenticatorData: Joi.string().max(4096),
+    signature: Joi.string().max(1024),
+    userHandle: Joi.string().max(256).allow(null),
+    transports: Joi.array().items(Joi.string().max(20)).max(10)
+  }).required(),
+  authenticatorAttachment: Joi.string().allow(null),
+  clientExtensionResults: Joi.object()
+});
+
+const registerOptionsSchema = reauthSchema();
+
+const removeSchema = reauthSchema();
+
+const registerSchema = Joi.object({
+  credential: credentialRule.required(),
+  nickname: Joi.string().trim().max(50).optional()
+});
+
+const renameSchema = Joi.object({
+  nickname: Joi.string().trim().max(50).required()
+});
+
+const loginOptionsSchema = Joi.object({
+  mfaToken: Joi.string().optional()
+});
+
+const loginSchema = Joi.object({
+  credential: credentialRule.required(),
+  deviceName: Joi.string().trim().max(100).optional()
+});
+
+/**
+ * @swagger
+ * /auth/passkeys:
+ *   get:
+ *     summary: List the passkeys registered on the current account
+ *     tags: [Passkeys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Passkeys retrieved successfully
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    res.json({
+      success: true,
+      data: { passkeys: user.passkeys.map(formatPasskey) }
+    });
+
+  } catch (error) {
+    logger.error('Get passkeys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving passkeys'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/passkeys/register/options:
+ *   post:
+ *     summary: Start registering a passkey
+ *     description: >
+ *       Returns PublicKeyCredentialCreationOptions for navigator.credentials.create(),
+ *       binary fields base64url-encoded. A passkey signs in without the second factor,
+ *       so adding one requires the password (or, for accounts without one, a code from
+ *       /auth/reauth/code), and a verification code when two-factor authentication is
+ *       enabled. The returned challenge is valid for 5 minutes.
+ *     tags: [Passkeys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               emailCode:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Authenticator code, required when two-factor authentication is enabled
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Registration options
+ *       400:
+ *         description: Passkey limit reached
+ *       401:
+ *         description: Invalid password or verification code
+ */
+router.post('/register/options', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = registerOptionsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${MFA_SECRET_FIELDS}`);
+
+    if (user.passkeys.length >= MAX_PASSKEYS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can register up to ${MAX_PASSKEYS} passkeys`
+      });
+    }
+
+    if (!(await verifyReauthentication(req, user, value, 'register_passkey'))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    // Saves the TOTP step the verification code used up
+    await user.save();
+
+    // Only a challenge issued after re-authentication can complete a registration
+    const challenge = await createPasskeyChallenge('register', { userId: user._id.toString() });
+
+    res.json({
+      success: true,
+      data: {
+        publicKey: {
+          challenge,
+          rp: { id: rpId, name: rpName },
+          user: {
+            id: Buffer.from(user._id.toString(), 'hex').toString('base64url'),
+            name: user.email,
+            displayName: user.fullName
+          },
+          pubKeyCredParams: Object.keys(COSE_ALGORITHMS).map(alg => ({ type: 'public-key', alg: Number(alg) })),
+          timeout: CEREMONY_TIMEOUT,
+          attestation: 'none',
+          authenticatorSelection: {
+            residentKey: 'required',
+            requireResidentKey: true,
+            userVerification: 'preferred'
+          },
+          excludeCredentials: user.passkeys.map(toCredentialDescriptor)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Passkey registration options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting passkey registration'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/passkeys/register:
+ *   post:
+ *     summary: Finish registering a passkey
+ *     description: Needs a challenge from /auth/passkeys/register/options, issued after re-authentication.
+ *     tags: [Passkeys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - credential
+ *             properties:
+ *               credential:
+ *                 type: object
+ *                 description: The navigator.credentials.create() result, binary fields base64url-encoded
+ *               nickname:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Passkey registered
+ *       400:
+ *         description: Invalid or expired registration
+ *       409:
+ *         description: Passkey already registered
+ */
+router.post('/register', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = registerSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const issued = await consumePasskeyChallenge(value.credential, 'register');
+    if (!issued || issued.userId !== req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passkey registration is invalid or has expired. Please try again.'
+      });
+    }
+
+    let registered;
+    try {
+      registered = verifyRegistration(value.credential, { expectedChallenge: issued.challenge, rpId, origins });
+    } catch (verifyError) {
+      if (verifyError.name !== 'WebAuthnError') {
+        throw verifyError;
+      }
+      logger.warn(`Passkey registration rejected for user ${req.user._id}: ${verifyError.message}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Passkey could not be verified'
+      });
+    }
+
+    if (await User.exists({ 'passkeys.credentialId': registered.credentialId })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This passkey is already registered'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (user.passkeys.length >= MAX_PASSKEYS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can register up to ${MAX_PASSKEYS} passkeys`
+      });
+    }
+
+    user.passkeys.push({
+      credentialId: registered.credentialId,
+      publicKey: registered.publicKey,
+      algorithm: registered.algorithm,
+      signCount: registered.signCount,
+      aaguid: registered.aaguid,
+      transports: value.credential.response.transports,
+      nickname: value.nickname || `Passkey ${user.passkeys.length + 1}`
+    });
+    await user.save();
+    await cache.del(`user_${user._id}`);
+
+    const passkey = user.passkeys[user.passkeys.length - 1];
+
+    sendMail({
+      to: user.email,
+      subject: 'A passkey was added to your BlueScar account',
+      text: `Hi ${user.firstName},\n\nThe passkey "${passkey.nickname}" can now be used to sign in to BlueScar.\n\nIf this wasn't you, remove it from your account settings and change your password.`
+    }).catch(mailError => logger.error('Passkey added notification error:', mailError));
+
+    recordSecurityEvent(req, { type: 'passkey.registered', userId: user._id, metadata: { passkeyId: passkey._id } });
+    logger.info(`Passkey ${passkey._id} registered by user: ${user._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Passkey registered successfully',
+      data: { passkey: formatPasskey(passkey) }
+    });
+
+  } catch (error) {
+    logger.error('Passkey registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error registering passkey'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/passkeys/{id}:
+ *   patch:
+ *     summary: Rename a passkey
+ *     tags: [Passkeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nickname
+ *             properties:
+ *               nickname:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Passkey renamed
+ *       404:
+ *         description: Passkey not found
+ */
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = renameSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const passkey = findPasskey(user, req.params.id);
+
+    if (!passkey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Passkey not found'
+      });
+    }
+
+    passkey.nickname = value.nickname;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Passkey renamed successfully',
+      data: { passkey: formatPasskey(passkey) }
+    });
+
+  } catch (error) {
+    logger.error('Rename passkey error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error renaming passkey'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/passkeys/{id}:
+ *   delete:
+ *     summary: Remove a passkey
+ *     description: >
+ *       Requires the password (or, for accounts without one, a code from
+ *       /auth/reauth/code), and a verification code when two-factor authentication is
+ *       enabled.
+ *     tags: [Passkeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               emailCode:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Authenticator code, required when two-factor authentication is enabled
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Passkey removed
+ *       401:
+ *         description: Invalid password or verification code
+ *       404:
+ *         description: Passkey not found
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = removeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${MFA_SECRET_FIELDS}`);
+    const passkey = findPasskey(user, req.params.id);
+
+    if (!passkey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Passkey not found'
+      });
+    }
+
+    if (!(await verifyReauthentication(req, user, value, 'remove_passkey'))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    user.passkeys.pull(passkey._id);
+    await user.save();
+    await cache.del(`user_${user._id}`);
+
+    recordSecurityEvent(req, { type: 'passkey.removed', userId: user._id, metadata: { passkeyId: passkey._id } });
+    logger.info(`Passkey ${passkey._id} removed by user: ${user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Passkey removed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Remove passkey error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing passkey'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/passkeys/login/options:
+ *   post:
+ *     summary: Start signing in with a passkey
+ *     description: >
+ *       Without a body, returns options for a passwordless sign-in with any discoverable
+ *       passkey. With the mfaToken from /auth/login, returns options to use one of that
+ *       account's passkeys as the second factor; send the result to /auth/login/mfa.
+ *     tags: [Passkeys]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: PublicKeyCredentialRequestOptions, binary fields base64url-encoded
+ *       401:
+ *         description: Invalid or expired two-factor challenge
+ */
+router.post('/login/options', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = loginOptionsSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    if (!value.mfaToken) {
+      const challenge = await createPasskeyChallenge('login');
+      return res.json({
+        success: true,
+        data: {
+          publicKey: {
+            challenge,
+            rpId,
+            timeout: CEREMONY_TIMEOUT,
+            userVerification: 'required',
+            allowCredentials: []
+          }
+        }
+      });
+    }
+
+    let mfaChallenge;
+    try {
+      mfaChallenge = verifyMfaChallengeToken(value.mfaToken);
+    } catch (tokenError) {
+      mfaChallenge = null;
+    }
+
+    const user = mfaChallenge && await User.findById(mfaChallenge.userId);
+    if (!user || !user.isActive || !user.mfa.enabled || !user.passkeys.length) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const challenge = await createPasskeyChallenge('mfa', {
+      userId: user._id.toString(),
+      mfaJti: mfaChallenge.jti
+    });
+
+    res.json({
+      success: true,
+      data: {
+        publicKey: {
+          challenge,
+          rpId,
+          timeout: CEREMONY_TIMEOUT,
+          userVerification: 'discouraged',
+          allowCredentials: user.passkeys.map(toCredentialDescriptor)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Passkey login options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting passkey sign-in'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/passkeys/login:
+ *   post:
+ *     summary: Sign in with a passkey
+ *     description: >
+ *       Passwordless sign-in. The passkey must verify the user (PIN or biometrics), so
+ *       no further two-factor step is needed.
+ *     tags: [Passkeys]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - credential
+ *             properties:
+ *               credential:
+ *                 type: object
+ *                 description: The navigator.credentials.get() result, binary fields base64url-encoded
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Unknown passkey, or the assertion could not be verified
+ */
+router.post('/login', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = loginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const { credential, deviceName } = value;
+    const invalid = () => res.status(401).json({
+      success: false,
+      message: 'Passkey sign-in failed. Please try again.'
+    });
+
+    const issued = await consumePasskeyChallenge(credential, 'login');
+    if (!issued) {
+      return invalid();
+    }
+
+    const user = await User.findOne({ 'passkeys.credentialId': credential.id });
+    const passkey = user && verifyPasskeyAssertion(user, credential, {
+      challenge: issued.challenge,
+      requireUserVerification: true
+    });
+
+    if (!passkey) {
+      recordSecurityEvent(req, {
+        type: 'login',
+        outcome: 'failure',
+        userId: user?._id,
+        metadata: { method: 'passkey', reason: user ? 'invalid_assertion' : 'unknown_credential' }
+      });
+      return invalid();
+    }
+
+    if (!user.isActive) {
+      recordSecurityEvent(req, { type: 'login', outcome: 'blocked', userId: user._id, metadata: { reason: 'deactivated' } });
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deactivated. Please contact support.'
+      });
+    }
+
+    // completeLogin saves the new signature counter along with lastLogin
+    await completeLogin(req, res, user, deviceName, { method: 'passkey' });
+
+  } catch (error) {
+    logger.error('Passkey login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// Helper functions
+function findPasskey(user, id) {
+  return user.passkeys.find(item => item._id.toString() === id) || null;
+}
+
+function toCredentialDescriptor(passkey) {
+  return {
+    type: 'public-key',
+    id: passkey.credentialId,
+    ...(passkey.transports?.length && { transports: passkey.transports })
+  };
+}
+
+function formatPasskey(passkey) {
+  return {
+    id: passkey._id,
+    nickname: passkey.nickname,
+    createdAt: passkey.createdAt,
+    lastUsedAt: passkey.lastUsedAt
+  };
+}
+
+module.exports = router;
@@ -1,440 +1,1326 @@
-const express = require('express');
-const Joi = require('joi');
-const Task = require('../models/Task');
-const auth = require('../middleware/auth');
-const { cache } = require('../config/redis');
-const logger = require('../utils/logger');
-
-const router = express.Router();
-
-// Validation schemas
-const createTaskSchema = Joi.object({
-  title: Joi.string().min(1).max(200).required(),
-  description: Joi.string().max(1000).optional(),
-  priority: Joi.string().valid('low', 'medium', 'high', 'urgent').optional(),
-  dueDate: Joi.date().greater('now').optional(),
-  tags: Joi.array().items(Joi.string().trim().max(30)).max(10).optional(),
-  estimatedDuration: Joi.number().min(1).max(1440).optional()
-});
-
-const updateTaskSchema = Joi.object({
-  title: Joi.string().min(1).max(200).optional(),
-  description: Joi.string().max(1000).optional(),
-  status: Joi.string().valid('pending', 'in_progress', 'completed', 'cancelled').optional(),
-  priority: Joi.string().valid('low', 'medium', 'high', 'urgent').optional(),
-  dueDate: Joi.date().greater('now').optional(),
-  tags: Joi.array().items(Joi.string().trim().max(30)).max(10).optional(),
-  estimatedDuration: Joi.number().min(1).max(1440).optional()
-});
-
-/**
- * @swagger
- * components:
- *   schemas:
- *     Task:
- *       type: object
- *       properties:
- *         id:
- *           type: string
- *         title:
- *           type: string
- *         description:
- *           type: string
- *         status:
- *           type: string
- *           enum: [pending, in_progress, completed, cancelled]
- *         priority:
- *           type: string
- *           enum: [low, medium, high, urgent]
- *         dueDate:
- *           type: string
- *           format: date
- *         tags:
- *           type: array
- *           items:
- *             type: string
- *         estimatedDuration:
- *           type: number
- *         completedAt:
- *           type: string
- *           format: date-time
- *         createdAt:
- *           type: string
- *           format: date-time
- */
-
-/**
- * @swagger
- * /tasks:
- *   get:
- *     summary: Get user tasks
- *     tags: [Tasks]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [pending, in_progress, completed, cancelled]
- *       - in: query
- *         name: priority
- *         schema:
- *           type: string
- *           enum: [low, medium, high, urgent]
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 20
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *     responses:
- *       200:
- *         description: Tasks retrieved successfully
- */
-router.get('/', auth, async (req, res) => {
-  try {
-    const { status, priority, page = 1, limit = 20, search } = req.query;
-    const userId = req.user._id;
-
-    // Build filter
-    const filter = { userId };
-    if (status) filter.status = status;
-    if (priority) filter.priority = priority;
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    // Check cache first
-    const cacheKey = `tasks:${userId}:${JSON.stringify(filter)}:${page}:${limit}`;
-    let cachedData = await cache.get(cacheKey);
-
-    if (cachedData) {
-      return res.json({
-        success: true,
-        data: cachedData
-      });
-    }
-
-    // Query database
-    const tasks = await Task.find(filter)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .lean();
-
-    const total = await Task.countDocuments(filter);
-
-    const responseData = {
-      tasks,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      },
-      stats: {
-        total,
-        completed: await Task.countDocuments({ ...filter, status: 'completed' }),
-        pending: await Task.countDocuments({ ...filter, status: 'pending' }),
-        overdue: await Task.countDocuments({ 
-          ...filter, 
-          dueDate: { $lt: new Date() }, 
-          status: { $ne: 'completed' } 
-        })
-      }
-    };
-
-    // Cache results for 5 minutes
-    await cache.set(cacheKey, responseData, 300);
-
-    res.json({
-      success: true,
-      data: responseData
-    });
-
-  } catch (error) {
-    logger.error('Get tasks error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error retrieving tasks'
-    });
-  }
-});
-
-/**
- * @swagger
- * /tasks:
- *   post:
- *     summary: Create a new task
- *     tags: [Tasks]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - title
- *             properties:
- *               title:
- *                 type: string
- *                 maxLength: 200
- *               description:
- *                 type: string
- *                 maxLength: 1000
- *               priority:
- *                 type: string
- *                 enum: [low, medium, high, urgent]
- *               dueDate:
- *                 type: string
- *                 format: date
- *               tags:
- *                 type: array
- *                 items:
- *                   type: string
- *               estimatedDuration:
- *                 type: number
- *     responses:
- *       201:
- *         description: Task created successfully
- */
-router.post('/', auth, async (req, res) => {
-  try {
-    // Validate input
-    const { error, value } = createTaskSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        details: error.details[0].message
-      });
-    }
-
-    // Create task
-    const task = new Task({
-      ...value,
-      userId: req.user._id
-    });
-
-    await task.save();
-
-    // Invalidate cache
-    await cache.del(`tasks:${req.user._id}:*`);
-
-    logger.info(`Task created: ${task._id} by user: ${req.user._id}`);
-
-    res.status(201).json({
-      success: true,
-      message: 'Task created successfully',
-      data: { task }
-    });
-
-  } catch (error) {
-    logger.error('Create task error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error creating task'
-    });
-  }
-});
-
-/**
- * @swagger
- * /tasks/{id}:
- *   get:
- *     summary: Get a specific task
- *     tags: [Tasks]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     responses:
- *       200:
- *         description: Task retrieved successfully
- *       404:
- *         description: Task not found
- */
-router.get('/:id', auth, async (req, res) => {
-  try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      userId: req.user._id
-    });
-
-    if (!task) {
-      return res.status(404).json({
-        success: false,
-        message: 'Task not found'
-      });
-    }
-
-    res.json({
-      success: true,
-      data: { task }
-    });
-
-  } catch (error) {
-    logger.error('Get task error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error retrieving task'
-    });
-  }
-});
-
-/**
- * @swagger
- * /tasks/{id}:
- *   put:
- *     summary: Update a task
- *     tags: [Tasks]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *               status:
- *                 type: string
- *                 enum: [pending, in_progress, completed, cancelled]
- *               priority:
- *                 type: string
- *                 enum: [low, medium, high, urgent]
- *     responses:
- *       200:
- *         description: Task updated successfully
- *       404:
- *         description: Task not found
- */
-router.put('/:id', auth, async (req, res) => {
-  try {
-    // Validate input
-    const { error, value } = updateTaskSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        details: error.details[0].message
-      });
-    }
-
-    // Find and update task
-    const task = await Task.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user._id },
-      value,
-      { new: true, runValidators: true }
-    );
-
-    if (!task) {
-      return res.status(404).json({
-        success: false,
-        message: 'Task not found'
-      });
-    }
-
-    // Invalidate cache
-    await cache.del(`tasks:${req.user._id}:*`);
-
-    logger.info(`Task updated: ${task._id} by user: ${req.user._id}`);
-
-    res.json({
-      success: true,
-      message: 'Task updated successfully',
-      data: { task }
-    });
-
-  } catch (error) {
-    logger.error('Update task error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error updating task'
-    });
-  }
-});
-
-/**
- * @swagger
- * /tasks/{id}:
- *   delete:
- *     summary: Delete a task
- *     tags: [Tasks]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     responses:
- *       200:
- *         description: Task deleted successfully
- *       404:
- *         description: Task not found
- */
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    const task = await Task.findOneAndDelete({
-      _id: req.params.id,
-      userId: req.user._id
-    });
-
-    if (!task) {
-      return res.status(404).json({
-        success: false,
-        message: 'Task not found'
-      });
-    }
-
-    // Invalidate cache
-    await cache.del(`tasks:${req.user._id}:*`);
-
-    logger.info(`Task deleted: ${req.params.id} by user: ${req.user._id}`);
-
-    res.json({
-      success: true,
-      message: 'Task deleted successfully'
-    });
-
-  } catch (error) {
-    logger.error('Delete task error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error deleting task'
-    });
-  }
-});
-
-module.exports = router;
+const express = require('express');
+const Joi = require('joi');
+const Task = require('../models/Task');
+const auth = require('../middleware/auth').withScope('tasks');
+const { cache } = require('../config/redis');
+const logger = require('../utils/logger');
+const { registerPurger } = require('../utils/accountDeletion');
+const { GUARDED_STATUSES, findOpenBlockers, validateBlockers, buildDependencyGraph } = require('../utils/taskGraph');
+const { normalizeRecurrence, spawnNextOccurrence } = require('../utils/recurrence');
+const { parseTaskSearch, highlightTask } = require('../utils/taskSearch');
+const { MAX_BULK_TASKS, runBulkOperation } = require('../utils/bulkTasks');
+
+const router = express.Router();
+
+// Validation schemas
+const checklistItemSchema = Joi.object({
+  text: Joi.string().trim().min(1).max(200).required(),
+  completed: Joi.boolean().optional()
+});
+
+const blockedBySchema = Joi.array().items(Joi.string().hex().length(24)).unique().max(Task.MAX_BLOCKERS);
+
+const monthlyOnly = (schema) => schema.when('frequency', { is: 'monthly', otherwise: Joi.forbidden() });
+
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly').required(),
+  interval: Joi.number().integer().min(1).max(365).optional(),
+  weekdays: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().min(1)
+    .when('frequency', { is: 'weekly', otherwise: Joi.forbidden() }),
+  monthDay: monthlyOnly(Joi.number().integer().min(1).max(31)),
+  weekOfMonth: monthlyOnly(Joi.number().integer().valid(1, 2, 3, 4, -1)),
+  weekday: monthlyOnly(Joi.number().integer().min(0).max(6)),
+  until: Joi.date().greater('now').optional()
+}).oxor('monthDay', 'weekOfMonth').with('weekday', 'weekOfMonth');
+
+const createTaskSchema = Joi.object({
+  title: Joi.string().min(1).max(200).required(),
+  description: Joi.string().max(1000).optional(),
+  priority: Joi.string().valid('low', 'medium', 'high', 'urgent').optional(),
+  dueDate: Joi.date().greater('now').optional(),
+  tags: Joi.array().items(Joi.string().trim().max(30)).max(10).optional(),
+  estimatedDuration: Joi.number().min(1).max(1440).optional(),
+  checklist: Joi.array().items(checklistItemSchema).max(Task.MAX_CHECKLIST_ITEMS).optional(),
+  autoCompleteOnChecklist: Joi.boolean().optional(),
+  blockedBy: blockedBySchema.optional(),
+  recurrence: recurrenceSchema.optional()
+});
+
+const updateTaskSchema = Joi.object({
+  title: Joi.string().min(1).max(200).optional(),
+  description: Joi.string().max(1000).optional(),
+  status: Joi.string().valid('pending', 'in_progress', 'completed', 'cancelled').optional(),
+  priority: Joi.string().valid('low', 'medium', 'high', 'urgent').optional(),
+  dueDate: Joi.date().greater('now').optional(),
+  tags: Joi.array().items(Joi.string().trim().max(30)).max(10).optional(),
+  estimatedDuration: Joi.number().min(1).max(1440).optional(),
+  autoCompleteOnChecklist: Joi.boolean().optional(),
+  blockedBy: blockedBySchema.optional(),
+  recurrence: recurrenceSchema.allow(null).optional()
+});
+
+const addChecklistItemSchema = checklistItemSchema.keys({
+  position: Joi.number().integer().min(0).optional()
+});
+
+const updateChecklistItemSchema = Joi.object({
+  text: Joi.string().trim().min(1).max(200).optional(),
+  completed: Joi.boolean().optional()
+}).min(1);
+
+const reorderChecklistSchema = Joi.object({
+  itemIds: Joi.array().items(Joi.string()).unique().required()
+});
+
+const objectIdSchema = Joi.string().hex().length(24);
+const tagsSchema = Joi.array().items(Joi.string().trim().max(30)).max(10);
+
+const bulkTaskSchema = Joi.object({
+  ids: Joi.array().items(objectIdSchema).unique().min(1).max(MAX_BULK_TASKS),
+  filter: Joi.object({
+    status: Joi.string().valid('pending', 'in_progress', 'completed', 'cancelled'),
+    priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
+    tag: Joi.string().trim().max(30),
+    dueBefore: Joi.date(),
+    dueAfter: Joi.date()
+  }).min(1),
+  action: Joi.string().valid('update', 'delete').required(),
+  changes: Joi.object({
+    status: Joi.string().valid('pending', 'in_progress', 'completed', 'cancelled'),
+    priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
+    addTags: tagsSchema,
+    removeTags: tagsSchema,
+    shiftDueDateDays: Joi.number().integer().min(-365).max(365).invalid(0)
+  }).min(1).when('action', { is: 'update', then: Joi.required(), otherwise: Joi.forbidden() }),
+  mode: Joi.string().valid('best_effort', 'all_or_nothing').default('best_effort')
+}).xor('ids', 'filter');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Task:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, in_progress, completed, cancelled]
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high, urgent]
+ *         dueDate:
+ *           type: string
+ *           format: date
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         estimatedDuration:
+ *           type: number
+ *         checklist:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ChecklistItem'
+ *         autoCompleteOnChecklist:
+ *           type: boolean
+ *           description: Complete the task once every checklist item is done
+ *         blockedBy:
+ *           type: array
+ *           description: Ids of tasks that must be completed or cancelled before this one can start
+ *           items:
+ *             type: string
+ *         progress:
+ *           $ref: '#/components/schemas/ChecklistProgress'
+ *         recurrence:
+ *           $ref: '#/components/schemas/Recurrence'
+ *         seriesId:
+ *           type: string
+ *           description: Shared by every occurrence of a recurring task
+ *         occurrence:
+ *           type: integer
+ *           description: Position of the task in its series, starting at 1
+ *         nextOccurrenceId:
+ *           type: string
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ChecklistItem:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         text:
+ *           type: string
+ *         completed:
+ *           type: boolean
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *     Recurrence:
+ *       type: object
+ *       description: >
+ *         How a task repeats. When it is completed the next occurrence is created, due on
+ *         the next matching date. Omitted weekdays, monthDay or weekday default to those
+ *         of the task's due date.
+ *       required:
+ *         - frequency
+ *       properties:
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly]
+ *         interval:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 1
+ *           description: Every N days, weeks or months
+ *         weekdays:
+ *           type: array
+ *           description: Weekly only; 0 is Sunday
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *         monthDay:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 31
+ *           description: Monthly by day; short months use their last day
+ *         weekOfMonth:
+ *           type: integer
+ *           enum: [1, 2, 3, 4, -1]
+ *           description: Monthly by nth weekday; -1 is the last one
+ *         weekday:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 6
+ *         until:
+ *           type: string
+ *           format: date-time
+ *     ChecklistProgress:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *         completed:
+ *           type: integer
+ *         percent:
+ *           type: integer
+ *           nullable: true
+ *           description: Percentage of checklist items done, null when the task has no checklist
+ */
+
+/**
+ * @swagger
+ * /tasks:
+ *   get:
+ *     summary: Get user tasks
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in_progress, completed, cancelled]
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, urgent]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: search
+ *         description: >
+ *           Full-text search over title, description and tags, ranked by relevance.
+ *           Supports "phrases", -excluded words (alongside at least one word to search
+ *           for), prefix* matches, tag:name, -tag:name,
+ *           priority:high[,urgent], and due:YYYY-MM-DD, due:<YYYY-MM-DD, due:>YYYY-MM-DD,
+ *           due:today, due:tomorrow, due:overdue or due:none. Matching tasks include
+ *           highlights with the matched ranges of their title, a description snippet and tags.
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *     responses:
+ *       200:
+ *         description: Tasks retrieved successfully
+ *       400:
+ *         description: Invalid search syntax
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status, priority, page = 1, limit = 20, search } = req.query;
+    const userId = req.user._id;
+
+    // Build filter
+    let parsedSearch = null;
+    if (search) {
+      try {
+        parsedSearch = parseTaskSearch(String(search));
+      } catch (searchError) {
+        if (searchError.name !== 'TaskSearchError') {
+          throw searchError;
+        }
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid search',
+          details: searchError.message
+        });
+      }
+    }
+
+    const filter = { userId, ...parsedSearch?.filter };
+    if (status) filter.status = status;
+    if (priority) filter.priority = priority;
+
+    // Check cache first. Keyed on the raw query: the filter holds dates and regexes,
+    // which don't survive JSON.stringify.
+    const cacheKey = `tasks:${userId}:${JSON.stringify({ status, priority, search })}:${page}:${limit}`;
+    let cachedData = await cache.get(cacheKey);
+
+    if (cachedData) {
+      return res.json({
+        success: true,
+        data: cachedData
+      });
+    }
+
+    // Query database; text searches are ranked by relevance
+    const query = Task.find(filter);
+    if (parsedSearch?.hasText) {
+      query.select({ score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' }, createdAt: -1 });
+    } else {
+      query.sort({ createdAt: -1 });
+    }
+
+    const tasks = (await query
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean())
+      .map(task => ({
+        ...task,
+        progress: Task.checklistProgress(task.checklist),
+        ...(parsedSearch && { highlights: highlightTask(task, parsedSearch.terms) })
+      }));
+
+    const total = await Task.countDocuments(filter);
+
+    const responseData = {
+      tasks,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      stats: {
+        total,
+        completed: await Task.countDocuments({ ...filter, status: 'completed' }),
+        pending: await Task.countDocuments({ ...filter, status: 'pending' }),
+        overdue: await Task.countDocuments({ 
+          ...filter, 
+          dueDate: { $lt: new Date() }, 
+          status: { $ne: 'completed' } 
+        })
+      }
+    };
+
+    // Cache results for 5 minutes
+    await cache.set(cacheKey, responseData, 300);
+
+    res.json({
+      success: true,
+      data: responseData
+    });
+
+  } catch (error) {
+    logger.error('Get tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving tasks'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks:
+ *   post:
+ *     summary: Create a new task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 200
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               estimatedDuration:
+ *                 type: number
+ *               checklist:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - text
+ *                   properties:
+ *                     text:
+ *                       type: string
+ *                       maxLength: 200
+ *                     completed:
+ *                       type: boolean
+ *               autoCompleteOnChecklist:
+ *                 type: boolean
+ *               blockedBy:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               recurrence:
+ *                 $ref: '#/components/schemas/Recurrence'
+ *     responses:
+ *       201:
+ *         description: Task created successfully
+ *       400:
+ *         description: Validation failed or a blocking task was not found
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = createTaskSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    if (value.blockedBy?.length) {
+      const problem = await validateBlockers(req.user._id, null, value.blockedBy);
+      if (problem) {
+        return res.status(400).json({ success: false, ...problem });
+      }
+    }
+
+    if (value.recurrence) {
+      value.recurrence = normalizeRecurrence(value.recurrence, value.dueDate);
+    }
+
+    // Create task
+    const task = new Task({
+      ...value,
+      userId: req.user._id
+    });
+
+    if (task.recurrence) {
+      task.seriesId = task._id;
+      task.occurrence = 1;
+    }
+
+    await task.save();
+
+    // Invalidate cache
+    await cache.del(`tasks:${req.user._id}:*`);
+
+    logger.info(`Task created: ${task._id} by user: ${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Task created successfully',
+      data: { task }
+    });
+
+  } catch (error) {
+    logger.error('Create task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating task'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/bulk:
+ *   post:
+ *     summary: Update or delete many tasks at once
+ *     description: >
+ *       Applies one action to the tasks listed in `ids`, or to every task matching
+ *       `filter` (at most 500). Each task goes through the same checks as a single
+ *       update, such as blockers and due dates. In `best_effort` mode the tasks that pass
+ *       are changed and the rest reported. In `all_or_nothing` mode the batch runs in a
+ *       transaction and nothing is changed unless every task passes and is saved.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               filter:
+ *                 type: object
+ *                 properties:
+ *                   status:
+ *                     type: string
+ *                     enum: [pending, in_progress, completed, cancelled]
+ *                   priority:
+ *                     type: string
+ *                     enum: [low, medium, high, urgent]
+ *                   tag:
+ *                     type: string
+ *                   dueBefore:
+ *                     type: string
+ *                     format: date-time
+ *                   dueAfter:
+ *                     type: string
+ *                     format: date-time
+ *               action:
+ *                 type: string
+ *                 enum: [update, delete]
+ *               changes:
+ *                 type: object
+ *                 description: Required for update
+ *                 properties:
+ *                   status:
+ *                     type: string
+ *                     enum: [pending, in_progress, completed, cancelled]
+ *                   priority:
+ *                     type: string
+ *                     enum: [low, medium, high, urgent]
+ *                   addTags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   removeTags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   shiftDueDateDays:
+ *                     type: integer
+ *                     description: Moves each due date by this many days (negative for earlier)
+ *               mode:
+ *                 type: string
+ *                 enum: [best_effort, all_or_nothing]
+ *                 default: best_effort
+ *     responses:
+ *       200:
+ *         description: Batch processed; see results for each task
+ *       400:
+ *         description: Validation failed, too many tasks matched, or (all_or_nothing) a task failed its checks
+ *       500:
+ *         description: Server error; in all_or_nothing mode no tasks were changed
+ */
+router.post('/bulk', auth, async (req, res) => {
+  try {
+    const { error, value } = bulkTaskSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const { action, mode } = value;
+    const userId = req.user._id;
+
+    const { tooMany, results, applied, failure } = await runBulkOperation(userId, value);
+    if (tooMany) {
+      return res.status(400).json({
+        success: false,
+        message: `The filter matches more than ${MAX_BULK_TASKS} tasks; narrow it down`
+      });
+    }
+
+    if (!applied) {
+      const failed = results.filter(result => result.error).length;
+      return res.status(failure === 'write' ? 500 : 400).json({
+        success: false,
+        message: failure === 'write'
+          ? 'Server error processing bulk task operation; no tasks were changed'
+          : `No tasks were changed: ${failed} of ${results.length} failed`,
+        data: { results: results.map(result => formatBulkResult(result, false)) }
+      });
+    }
+
+    // Invalidate cache once for the whole batch
+    await cache.del(`tasks:${userId}:*`);
+
+    const succeeded = results.filter(result => !result.error).length;
+    logger.info(`Bulk ${action} of ${succeeded}/${results.length} tasks by user: ${userId}`);
+
+    res.json({
+      success: true,
+      message: `${succeeded} of ${results.length} tasks ${action === 'delete' ? 'deleted' : 'updated'}`,
+      data: {
+        action,
+        mode,
+        matched: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results: results.map(result => formatBulkResult(result, true))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Bulk task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error processing bulk task operation'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}:
+ *   get:
+ *     summary: Get a specific task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Task retrieved successfully
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const task = await Task.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { task, progress: task.progress }
+    });
+
+  } catch (error) {
+    logger.error('Get task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving task'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/graph:
+ *   get:
+ *     summary: Get a task's dependency graph
+ *     description: >
+ *       Upstream tasks (what this task waits for, transitively) and downstream tasks
+ *       (what waits for it), each with its distance from the task, plus the blocked-by
+ *       edges between them. Edges point from a blocker to the task it blocks.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dependency graph retrieved successfully
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/graph', auth, async (req, res) => {
+  try {
+    const graph = await buildDependencyGraph(req.user._id, req.params.id);
+
+    if (!graph) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: graph
+    });
+
+  } catch (error) {
+    logger.error('Get task graph error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving task dependencies'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/series:
+ *   get:
+ *     summary: Get every occurrence of a recurring task
+ *     description: The task's series in order, including completed occurrences.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Series retrieved successfully
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/series', auth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const task = await Task.findOne({ _id: req.params.id, userId: req.user._id }).select('seriesId');
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // A task that never recurred is a series of one
+    const filter = { userId: req.user._id, ...(task.seriesId ? { seriesId: task.seriesId } : { _id: task._id }) };
+    const [tasks, total, completed] = await Promise.all([
+      Task.find(filter)
+        .sort({ occurrence: 1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean(),
+      Task.countDocuments(filter),
+      Task.countDocuments({ ...filter, status: 'completed' })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        seriesId: task.seriesId || task._id,
+        tasks,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        },
+        stats: {
+          total,
+          completed
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get task series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving task series'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}:
+ *   put:
+ *     summary: Update a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [pending, in_progress, completed, cancelled]
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *               autoCompleteOnChecklist:
+ *                 type: boolean
+ *               blockedBy:
+ *                 type: array
+ *                 description: Replaces the task's blockers; rejected if it would create a cycle
+ *                 items:
+ *                   type: string
+ *               recurrence:
+ *                 description: Set to null to stop the task recurring
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Recurrence'
+ *     responses:
+ *       200:
+ *         description: >
+ *           Task updated successfully. Completing a recurring task creates its next
+ *           occurrence, returned as nextOccurrence.
+ *       400:
+ *         description: Validation failed, a blocking task was not found, or the dependencies would form a cycle
+ *       404:
+ *         description: Task not found
+ *       409:
+ *         description: The task can't start or complete while it has open blockers
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = updateTaskSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    // Dependencies must stay acyclic, and a blocked task can't start or complete
+    if (value.blockedBy || value.recurrence || GUARDED_STATUSES.includes(value.status)) {
+      const current = await Task.findOne({ _id: req.params.id, userId: req.user._id }).select('status blockedBy dueDate');
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task not found'
+        });
+      }
+
+      if (value.blockedBy) {
+        const problem = await validateBlockers(req.user._id, current._id, value.blockedBy);
+        if (problem) {
+          return res.status(400).json({ success: false, ...problem });
+        }
+      }
+
+      if (GUARDED_STATUSES.includes(value.status) && value.status !== current.status) {
+        const blockers = await findOpenBlockers(req.user._id, value.blockedBy || current.blockedBy);
+        if (blockers.length) {
+          return res.status(409).json({
+            success: false,
+            message: `Task is blocked by ${blockers.length} open task${blockers.length === 1 ? '' : 's'}`,
+            blockers
+          });
+        }
+      }
+
+      if (value.recurrence) {
+        value.recurrence = normalizeRecurrence(value.recurrence, value.dueDate || current.dueDate);
+      }
+    }
+
+    // Find and update task
+    const task = await Task.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      value,
+      { new: true, runValidators: true }
+    );
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const nextOccurrence = await spawnNextOccurrence(task);
+
+    // Invalidate cache
+    await cache.del(`tasks:${req.user._id}:*`);
+
+    logger.info(`Task updated: ${task._id} by user: ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Task updated successfully',
+      data: { task, nextOccurrence }
+    });
+
+  } catch (error) {
+    logger.error('Update task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating task'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}:
+ *   delete:
+ *     summary: Delete a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Task deleted successfully
+ *       404:
+ *         description: Task not found
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const task = await Task.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Unblock the tasks that were waiting on it
+    await Task.updateMany(
+      { userId: req.user._id, blockedBy: task._id },
+      { $pull: { blockedBy: task._id } }
+    );
+
+    // Invalidate cache
+    await cache.del(`tasks:${req.user._id}:*`);
+
+    logger.info(`Task deleted: ${req.params.id} by user: ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Task deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting task'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/checklist:
+ *   post:
+ *     summary: Add a checklist item to a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 200
+ *               completed:
+ *                 type: boolean
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Index to insert at (defaults to the end)
+ *     responses:
+ *       201:
+ *         description: Checklist item added
+ *       400:
+ *         description: Validation failed or the checklist is full
+ *       404:
+ *         description: Task not found
+ */
+router.post('/:id/checklist', auth, async (req, res) => {
+  try {
+    const { error, value } = addChecklistItemSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const task = await Task.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (task.checklist.length >= Task.MAX_CHECKLIST_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `A task cannot have more than ${Task.MAX_CHECKLIST_ITEMS} checklist items`
+      });
+    }
+
+    const { position = task.checklist.length, ...item } = value;
+    task.checklist.splice(Math.min(position, task.checklist.length), 0, item);
+    await task.save();
+    const nextOccurrence = await spawnNextOccurrence(task);
+
+    await cache.del(`tasks:${req.user._id}:*`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist item added',
+      data: { task, progress: task.progress, nextOccurrence }
+    });
+
+  } catch (error) {
+    logger.error('Add checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding checklist item'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/checklist/order:
+ *   put:
+ *     summary: Reorder a task's checklist
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemIds
+ *             properties:
+ *               itemIds:
+ *                 type: array
+ *                 description: Every checklist item id, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Checklist reordered
+ *       400:
+ *         description: Validation failed or the ids don't match the checklist
+ *       404:
+ *         description: Task not found
+ */
+router.put('/:id/checklist/order', auth, async (req, res) => {
+  try {
+    const { error, value } = reorderChecklistSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const task = await Task.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const items = value.itemIds.map(itemId => task.checklist.id(itemId));
+    if (items.length !== task.checklist.length || items.some(item => !item)) {
+      return res.status(400).json({
+        success: false,
+        message: 'itemIds must list every checklist item exactly once'
+      });
+    }
+
+    task.checklist = items.map(item => item.toObject());
+    await task.save();
+
+    await cache.del(`tasks:${req.user._id}:*`);
+
+    res.json({
+      success: true,
+      message: 'Checklist reordered',
+      data: { task, progress: task.progress }
+    });
+
+  } catch (error) {
+    logger.error('Reorder checklist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reordering checklist'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/checklist/{itemId}:
+ *   patch:
+ *     summary: Edit or check off a checklist item
+ *     description: Checking off the last open item completes the task when autoCompleteOnChecklist is set.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 200
+ *               completed:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Checklist item updated
+ *       404:
+ *         description: Task or checklist item not found
+ */
+router.patch('/:id/checklist/:itemId', auth, async (req, res) => {
+  try {
+    const { error, value } = updateChecklistItemSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        details: error.details[0].message
+      });
+    }
+
+    const task = await Task.findOne({ _id: req.params.id, userId: req.user._id });
+    const item = task?.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: task ? 'Checklist item not found' : 'Task not found'
+      });
+    }
+
+    item.set(value);
+    await task.save();
+    const nextOccurrence = await spawnNextOccurrence(task);
+
+    await cache.del(`tasks:${req.user._id}:*`);
+
+    res.json({
+      success: true,
+      message: 'Checklist item updated',
+      data: { task, progress: task.progress, nextOccurrence }
+    });
+
+  } catch (error) {
+    logger.error('Update checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating checklist item'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/checklist/{itemId}:
+ *   delete:
+ *     summary: Remove a checklist item
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checklist item removed
+ *       404:
+ *         description: Task or checklist item not found
+ */
+router.delete('/:id/checklist/:itemId', auth, async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, userId: req.user._id });
+    const item = task?.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: task ? 'Checklist item not found' : 'Task not found'
+      });
+    }
+
+    item.deleteOne();
+    await task.save();
+    const nextOccurrence = await spawnNextOccurrence(task);
+
+    await cache.del(`tasks:${req.user._id}:*`);
+
+    res.json({
+      success: true,
+      message: 'Checklist item removed',
+      data: { task, progress: task.progress, nextOccurrence }
+    });
+
+  } catch (error) {
+    logger.error('Delete checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing checklist item'
+    });
+  }
+});
+
+// Remove the user's tasks when their account is deleted
+registerPurger('tasks', async (userId) => {
+  const { deletedCount } = await Task.deleteMany({ userId });
+  await cache.del(`tasks:${userId}*`);
+  return deletedCount;
+});
+
+// Helper functions
+// Tasks of a rolled-back batch that passed their own checks weren't changed either
+function formatBulkResult({ id, error, blockers, nextOccurrence }, applied) {
+  if (error) {
+    return { id, success: false, error, ...(blockers && { blockers }) };
+  }
+  if (!applied) {
+    return { id, success: false, error: 'Not changed because other tasks in the batch failed' };
+  }
+  return { id, success: true, ...(nextOccurrence && { nextOccurrenceId: nextOccurrence._id }) };
+}
+
+module.exports = router;
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/*
+ * Fills in Task.searchWords, which prefix* searches use, for tasks saved before
+ * the field existed. Safe to run more than once.
+ *
+ *   npm run tasks:backfill-search
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const connectDB = require('../config/database');
+const Task = require('../models/Task');
+
+const BATCH_SIZE = 500;
+
+(async () => {
+  try {
+    await connectDB();
+
+    let updated = 0;
+    let batch = [];
+    const flush = async () => {
+      if (batch.length) {
+        await Task.bulkWrite(batch);
+        updated += batch.length;
+        batch = [];
+      }
+    };
+
+    const cursor = Task.find({ searchWords: { $exists: false } }).select('title description tags').lean().cursor();
+    for await (const task of cursor) {
+      batch.push({ updateOne: { filter: { _id: task._id }, update: { $set: { searchWords: Task.searchWordsOf(task) } } } });
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    console.log(`Search words filled in for ${updated} tasks`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error(`Backfill failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
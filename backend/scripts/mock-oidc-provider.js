@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/*
+ * Minimal OpenID Connect provider for local development and testing of
+ * /api/auth/oidc. It approves every authorization request without a login page.
+ *
+ *   npm run oidc:mock
+ *   OIDC_PROVIDERS='[{"id":"mock","name":"Mock","issuer":"http://localhost:4010","clientId":"bluescar","clientSecret":"secret","redirectUri":"http://localhost:5000/api/auth/oidc/mock/callback"}]'
+ *
+ * The signed-in identity is taken from the login_hint parameter of the
+ * authorization request (an email address), or OIDC_MOCK_EMAIL.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.OIDC_MOCK_PORT, 10) || 4010;
+const ISSUER = process.env.OIDC_MOCK_ISSUER || `http://localhost:${PORT}`;
+const DEFAULT_EMAIL = process.env.OIDC_MOCK_EMAIL || 'oidc.user@example.com';
+const CODE_TTL = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const kid = crypto.randomBytes(8).toString('hex');
+const codes = new Map();
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(new URLSearchParams(body)));
+  req.on('error', reject);
+});
+
+const handleAuthorize = (url, res) => {
+  const params = url.searchParams;
+  const redirectUri = params.get('redirect_uri');
+  if (!redirectUri || params.get('response_type') !== 'code' || params.get('code_challenge_method') !== 'S256') {
+    return sendJson(res, 400, { error: 'invalid_request' });
+  }
+
+  const email = (params.get('login_hint') || DEFAULT_EMAIL).toLowerCase();
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    clientId: params.get('client_id'),
+    redirectUri,
+    nonce: params.get('nonce'),
+    codeChallenge: params.get('code_challenge'),
+    email,
+    expiresAt: Date.now() + CODE_TTL
+  });
+
+  const target = new URL(redirectUri);
+  target.searchParams.set('code', code);
+  target.searchParams.set('state', params.get('state'));
+  res.writeHead(302, { Location: target.toString() });
+  res.end();
+};
+
+const handleToken = async (req, res) => {
+  const params = await readBody(req);
+  const grant = codes.get(params.get('code'));
+  codes.delete(params.get('code'));
+
+  const basic = req.headers.authorization?.replace('Basic ', '');
+  const clientId = basic
+    ? decodeURIComponent(Buffer.from(basic, 'base64').toString().split(':')[0])
+    : params.get('client_id');
+
+  const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+
+  if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId ||
+      grant.redirectUri !== params.get('redirect_uri') || grant.codeChallenge !== challenge) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  const idToken = jwt.sign({
+    email: grant.email,
+    email_verified: true,
+    given_name: 'Mock',
+    family_name: 'User',
+    nonce: grant.nonce
+  }, privateKey, {
+    algorithm: 'ES256',
+    keyid: kid,
+    issuer: ISSUER,
+    audience: clientId,
+    subject: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+    expiresIn: '5m'
+  });
+
+  sendJson(res, 200, {
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['ES256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none']
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'ES256' }]
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      return handleAuthorize(url, res);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return await handleToken(req, res);
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    sendJson(res, 500, { error: 'server_error', error_description: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock OIDC provider listening on ${ISSUER}`);
+});
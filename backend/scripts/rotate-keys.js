@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/*
+ * Rotates the JWT signing key without downtime: running instances pick up the
+ * new key within a few minutes, and tokens signed with the old key stay valid
+ * until they expire.
+ *
+ *   npm run keys:rotate
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const connectDB = require('../config/database');
+const { rotateSigningKey } = require('../utils/keyring');
+
+(async () => {
+  try {
+    await connectDB();
+    const { kid, retiringKeys } = await rotateSigningKey();
+    console.log(`Signing key rotated. New key: ${kid}, previous keys retiring: ${retiringKeys}`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error(`Key rotation failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/*
+ * Software WebAuthn authenticator for local development and testing of
+ * /api/auth/passkeys without a browser or security key. It creates ES256
+ * discoverable credentials with "none" attestation and keeps them in a JSON file.
+ *
+ *   npm run passkey:soft -- register <accessToken> <password> [nickname]
+ *   npm run passkey:soft -- login
+ *   npm run passkey:soft -- mfa <mfaToken>
+ *
+ * SOFT_AUTHENTICATOR_API      API base URL (default http://localhost:5000/api)
+ * SOFT_AUTHENTICATOR_ORIGIN   origin reported to the server, must be in WEBAUTHN_ORIGINS
+ *                             (default FRONTEND_URL or http://localhost:3000)
+ * SOFT_AUTHENTICATOR_FILE     credential store (default <tmpdir>/bluescar-soft-authenticator.json)
+ * SOFT_AUTHENTICATOR_CODE     authenticator code for registering on accounts with two-factor authentication
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const API_URL = process.env.SOFT_AUTHENTICATOR_API || 'http://localhost:5000/api';
+const ORIGIN = process.env.SOFT_AUTHENTICATOR_ORIGIN || process.env.FRONTEND_URL || 'http://localhost:3000';
+const STORE_FILE = process.env.SOFT_AUTHENTICATOR_FILE || path.join(os.tmpdir(), 'bluescar-soft-authenticator.json');
+
+// Just enough CBOR (RFC 8949) to build attestation objects and COSE keys
+const encodeCbor = (value) => {
+  const head = (major, length) => {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+    if (length < 0x10000) return Buffer.from([(major << 5) | 25, length >> 8, length & 0xff]);
+    const buffer = Buffer.alloc(5);
+    buffer[0] = (major << 5) | 26;
+    buffer.writeUInt32BE(length, 1);
+    return buffer;
+  };
+
+  if (Number.isInteger(value)) {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([head(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([head(3, bytes.length), bytes]);
+  }
+  if (value instanceof Map) {
+    const parts = [head(5, value.size)];
+    value.forEach((item, key) => parts.push(encodeCbor(key), encodeCbor(item)));
+    return Buffer.concat(parts);
+  }
+  throw new Error(`Cannot CBOR-encode ${typeof value}`);
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+const loadStore = () => (fs.existsSync(STORE_FILE) ? JSON.parse(fs.readFileSync(STORE_FILE, 'utf8')) : []);
+const saveStore = (credentials) => fs.writeFileSync(STORE_FILE, JSON.stringify(credentials, null, 2), { mode: 0o600 });
+
+const clientData = (type, challenge, origin) => Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+
+// navigator.credentials.create() for the given creation options
+const createCredential = (options, { origin = ORIGIN, store = loadStore() } = {}) => {
+  if (!options.pubKeyCredParams.some(param => param.alg === -7)) {
+    throw new Error('Server does not accept ES256 credentials');
+  }
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const credentialId = crypto.randomBytes(32);
+  const jwk = publicKey.export({ format: 'jwk' });
+
+  const coseKey = encodeCbor(new Map([
+    [1, 2], // kty: EC2
+    [3, -7], // alg: ES256
+    [-1, 1], // crv: P-256
+    [-2, Buffer.from(jwk.x, 'base64url')],
+    [-3, Buffer.from(jwk.y, 'base64url')]
+  ]));
+
+  const idLength = Buffer.alloc(2);
+  idLength.writeUInt16BE(credentialId.length);
+
+  const authData = Buffer.concat([
+    sha256(options.rp.id),
+    Buffer.from([0x45]), // user present, user verified, attested credential data
+    Buffer.alloc(4), // sign count 0
+    Buffer.alloc(16), // AAGUID
+    idLength,
+    credentialId,
+    coseKey
+  ]);
+
+  store.push({
+    id: credentialId.toString('base64url'),
+    rpId: options.rp.id,
+    userHandle: options.user.id,
+    userName: options.user.name,
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    signCount: 0
+  });
+
+  return {
+    id: credentialId.toString('base64url'),
+    rawId: credentialId.toString('base64url'),
+    type: 'public-key',
+    response: {
+      clientDataJSON: clientData('webauthn.create', options.challenge, origin).toString('base64url'),
+      attestationObject: encodeCbor(new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', authData]
+      ])).toString('base64url'),
+      transports: ['internal']
+    },
+    clientExtensionResults: {}
+  };
+};
+
+// navigator.credentials.get() for the given request options
+const getAssertion = (options, { origin = ORIGIN, store = loadStore() } = {}) => {
+  const allowed = (options.allowCredentials || []).map(descriptor => descriptor.id);
+  const credential = store.find(item => item.rpId === options.rpId && (!allowed.length || allowed.includes(item.id)));
+  if (!credential) {
+    throw new Error(`No credential for ${options.rpId} in ${STORE_FILE}`);
+  }
+
+  credential.signCount += 1;
+  const counter = Buffer.alloc(4);
+  counter.writeUInt32BE(credential.signCount);
+
+  const authData = Buffer.concat([sha256(options.rpId), Buffer.from([0x05]), counter]);
+  const clientDataJSON = clientData('webauthn.get', options.challenge, origin);
+  const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), credential.privateKey);
+
+  return {
+    id: credential.id,
+    rawId: credential.id,
+    type: 'public-key',
+    response: {
+      clientDataJSON: clientDataJSON.toString('base64url'),
+      authenticatorData: authData.toString('base64url'),
+      signature: signature.toString('base64url'),
+      userHandle: credential.userHandle
+    },
+    clientExtensionResults: {}
+  };
+};
+
+const api = async (pathname, body, accessToken) => {
+  const response = await fetch(`${API_URL}${pathname}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Origin: ORIGIN,
+      ...(accessToken && { Authorization: `Bearer ${accessToken}` })
+    },
+    body: JSON.stringify(body || {})
+  });
+
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(`${pathname} failed with ${response.status}: ${result.message}`);
+  }
+  return result.data;
+};
+
+const run = async ([command, argument, password, nickname]) => {
+  const store = loadStore();
+
+  if (command === 'register' && argument && password) {
+    const { publicKey } = await api('/auth/passkeys/register/options', {
+      password,
+      code: process.env.SOFT_AUTHENTICATOR_CODE
+    }, argument);
+    const credential = createCredential(publicKey, { store });
+    const { passkey } = await api('/auth/passkeys/register', { credential, nickname }, argument);
+    saveStore(store);
+    return console.log(`Registered passkey "${passkey.nickname}" for ${publicKey.user.name}`);
+  }
+
+  if (command === 'login') {
+    const { publicKey } = await api('/auth/passkeys/login/options');
+    const credential = getAssertion(publicKey, { store });
+    const { user, accessToken } = await api('/auth/passkeys/login', { credential, deviceName: 'Soft authenticator' });
+    saveStore(store);
+    return console.log(`Signed in as ${user.email}\naccessToken: ${accessToken}`);
+  }
+
+  if (command === 'mfa' && argument) {
+    const { publicKey } = await api('/auth/passkeys/login/options', { mfaToken: argument });
+    const passkey = getAssertion(publicKey, { store });
+    const { user, accessToken } = await api('/auth/login/mfa', { mfaToken: argument, passkey });
+    saveStore(store);
+    return console.log(`Signed in as ${user.email}\naccessToken: ${accessToken}`);
+  }
+
+  console.error('Usage: soft-authenticator.js register <accessToken> <password> [nickname] | login | mfa <mfaToken>');
+  process.exitCode = 1;
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  createCredential,
+  getAssertion
+};
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+
+// In-memory stand-in for the tasks collection, so utilities that query Task can be
+// tested without MongoDB. Spies on the model methods they use and supports only the
+// query operators they need.
+const OPERATORS = {
+  $in: (values, operand) => operand.map(String).some(item => values.includes(item)),
+  $nin: (values, operand) => !operand.map(String).some(item => values.includes(item)),
+  $ne: (values, operand) => !values.includes(String(operand)),
+  $lt: (values, operand, raw) => raw < operand,
+  $gt: (values, operand, raw) => raw > operand
+};
+
+const isOperatorObject = (condition) => condition && typeof condition === 'object' &&
+  !(condition instanceof mongoose.Types.ObjectId) && !(condition instanceof Date) &&
+  Object.keys(condition).every(key => key.startsWith('$'));
+
+const matches = (doc, query) => Object.entries(query).every(([field, condition]) => {
+  const raw = doc[field];
+  const values = (Array.isArray(raw) ? raw : [raw]).map(String);
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => OPERATORS[operator](values, operand, raw));
+  }
+  return values.includes(String(condition));
+});
+
+const createTaskStore = () => {
+  const tasks = new Map();
+
+  const add = (fields) => {
+    const task = {
+      _id: new mongoose.Types.ObjectId(),
+      status: 'pending',
+      priority: 'medium',
+      tags: [],
+      blockedBy: [],
+      checklist: [],
+      ...fields
+    };
+    tasks.set(String(task._id), task);
+    return task;
+  };
+
+  // A chainable, awaitable query; `first` resolves to one task (or null) like findOne
+  const find = (query, { first = false } = {}) => {
+    let limit = Infinity;
+    let lean = false;
+    const run = () => {
+      const found = [...tasks.values()].filter(task => matches(task, query)).slice(0, limit)
+        .map(task => (lean ? { ...task } : Task.hydrate({ ...task })));
+      return first ? found[0] || null : found;
+    };
+
+    const chain = {
+      select: () => chain,
+      session: () => chain,
+      limit: (count) => {
+        limit = count;
+        return chain;
+      },
+      lean: () => {
+        lean = true;
+        return chain;
+      },
+      distinct: async (field) => run().map(task => task[field]),
+      then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+    };
+    return chain;
+  };
+
+  jest.spyOn(Task, 'find').mockImplementation((query) => find(query));
+  jest.spyOn(Task, 'findOne').mockImplementation((query) => find(query, { first: true }));
+  jest.spyOn(Task, 'deleteMany').mockImplementation(async (query) => {
+    const deleted = [...tasks.values()].filter(task => matches(task, query));
+    deleted.forEach(task => tasks.delete(String(task._id)));
+    return { deletedCount: deleted.length };
+  });
+  jest.spyOn(Task, 'updateMany').mockImplementation(async (query, update) => {
+    const updated = [...tasks.values()].filter(task => matches(task, query));
+    const { blockedBy } = update.$pull || {};
+    updated.forEach(task => {
+      if (blockedBy) {
+        task.blockedBy = task.blockedBy.filter(id => !blockedBy.$in.map(String).includes(String(id)));
+      }
+    });
+    return { modifiedCount: updated.length };
+  });
+  jest.spyOn(Task.prototype, 'save').mockImplementation(async function() {
+    tasks.set(String(this._id), this.toObject());
+    return this;
+  });
+
+  return { tasks, add, get: (id) => tasks.get(String(id)) };
+};
+
+module.exports = { createTaskStore };
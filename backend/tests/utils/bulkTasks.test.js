@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const { createTaskStore } = require('../helpers/taskStore');
+const { MAX_BULK_TASKS, runBulkOperation } = require('../../utils/bulkTasks');
+
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const userId = new mongoose.Types.ObjectId();
+let store;
+
+const complete = (tasks, mode = 'best_effort') => runBulkOperation(userId, {
+  ids: tasks.map(task => String(task._id)),
+  action: 'update',
+  changes: { status: 'completed' },
+  mode
+});
+
+const outcomeOf = ({ results }) => Object.fromEntries(results.map(({ id, error }) => [store.get(id)?.title ?? id, error || 'ok']));
+
+// Runs the transaction callback once, like withTransaction without transient errors
+const fakeSession = () => ({
+  withTransaction: jest.fn(async (callback) => {
+    await callback();
+  }),
+  endSession: jest.fn()
+});
+
+beforeEach(() => {
+  store = createTaskStore();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('blockers in a bulk update', () => {
+  it('fails tasks with open blockers outside the batch', async () => {
+    const blocker = store.add({ userId, title: 'Blocker' });
+    const blocked = store.add({ userId, title: 'Blocked', blockedBy: [blocker._id] });
+    const free = store.add({ userId, title: 'Free' });
+
+    const outcome = await complete([blocked, free]);
+
+    expect(outcome.applied).toBe(true);
+    expect(outcomeOf(outcome)).toEqual({ Blocked: 'Task is blocked by 1 open task', Free: 'ok' });
+    expect(outcome.results[0].blockers.map(task => String(task._id))).toEqual([String(blocker._id)]);
+    expect(store.get(blocked._id).status).toBe('pending');
+    expect(store.get(free._id).status).toBe('completed');
+  });
+
+  it('counts blockers that the batch completes as resolved', async () => {
+    const first = store.add({ userId, title: 'First' });
+    const second = store.add({ userId, title: 'Second', blockedBy: [first._id] });
+
+    expect(outcomeOf(await complete([second, first]))).toEqual({ First: 'ok', Second: 'ok' });
+  });
+
+  it('keeps tasks blocked when their blocker fails in the same batch, transitively', async () => {
+    const outside = store.add({ userId, title: 'Outside' });
+    const first = store.add({ userId, title: 'First', blockedBy: [outside._id] });
+    const second = store.add({ userId, title: 'Second', blockedBy: [first._id] });
+    const third = store.add({ userId, title: 'Third', blockedBy: [second._id] });
+
+    expect(outcomeOf(await complete([third, second, first]))).toEqual({
+      First: 'Task is blocked by 1 open task',
+      Second: 'Task is blocked by 1 open task',
+      Third: 'Task is blocked by 1 open task'
+    });
+    expect(Task.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('doesn\'t count blockers that fail for other reasons as resolved', async () => {
+    const blocker = store.add({ userId, title: 'Blocker', tags: Array.from({ length: 10 }, (_, i) => `t${i}`) });
+    const blocked = store.add({ userId, title: 'Blocked', blockedBy: [blocker._id] });
+
+    const outcome = await runBulkOperation(userId, {
+      ids: [String(blocker._id), String(blocked._id)],
+      action: 'update',
+      changes: { status: 'completed', addTags: ['extra'] },
+      mode: 'best_effort'
+    });
+
+    expect(outcomeOf(outcome)).toEqual({
+      Blocker: 'A task cannot have more than 10 tags',
+      Blocked: 'Task is blocked by 1 open task'
+    });
+  });
+
+  it('doesn\'t resolve blockers when the batch only starts them', async () => {
+    const first = store.add({ userId, title: 'First' });
+    const second = store.add({ userId, title: 'Second', blockedBy: [first._id] });
+
+    const outcome = await runBulkOperation(userId, {
+      ids: [String(first._id), String(second._id)],
+      action: 'update',
+      changes: { status: 'in_progress' },
+      mode: 'best_effort'
+    });
+
+    expect(outcomeOf(outcome)).toEqual({ First: 'ok', Second: 'Task is blocked by 1 open task' });
+  });
+});
+
+describe('bulk update checks', () => {
+  it('reports ids that aren\'t the user\'s tasks', async () => {
+    const foreign = store.add({ userId: new mongoose.Types.ObjectId(), title: 'Foreign' });
+    const outcome = await complete([foreign]);
+
+    expect(outcome.results).toEqual([{ id: String(foreign._id), task: undefined, error: 'Task not found' }]);
+    expect(store.get(foreign._id).status).toBe('pending');
+  });
+
+  it('refuses to shift a task without a due date', async () => {
+    const task = store.add({ userId, title: 'Undated' });
+    const outcome = await runBulkOperation(userId, {
+      ids: [String(task._id)],
+      action: 'update',
+      changes: { shiftDueDateDays: 2 },
+      mode: 'best_effort'
+    });
+
+    expect(outcomeOf(outcome)).toEqual({ Undated: 'Task has no due date to shift' });
+  });
+
+  it('reports a filter that matches too many tasks', async () => {
+    for (let i = 0; i <= MAX_BULK_TASKS; i++) {
+      store.add({ userId, title: `Task ${i}`, priority: 'low' });
+    }
+
+    const outcome = await runBulkOperation(userId, {
+      filter: { priority: 'low' },
+      action: 'update',
+      changes: { priority: 'high' },
+      mode: 'best_effort'
+    });
+
+    expect(outcome).toEqual({ tooMany: true });
+  });
+});
+
+describe('all_or_nothing', () => {
+  let session;
+
+  beforeEach(() => {
+    session = fakeSession();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+  });
+
+  it('writes every task in one transaction', async () => {
+    const first = store.add({ userId, title: 'First' });
+    const second = store.add({ userId, title: 'Second' });
+
+    const outcome = await complete([first, second], 'all_or_nothing');
+
+    expect(outcome.applied).toBe(true);
+    expect(session.withTransaction).toHaveBeenCalledTimes(1);
+    expect(Task.prototype.save).toHaveBeenCalledTimes(2);
+    Task.prototype.save.mock.calls.forEach(([options]) => expect(options).toEqual({ session }));
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('writes nothing when any task fails its checks', async () => {
+    const blocker = store.add({ userId, title: 'Blocker' });
+    const blocked = store.add({ userId, title: 'Blocked', blockedBy: [blocker._id] });
+    const free = store.add({ userId, title: 'Free' });
+
+    const outcome = await complete([blocked, free], 'all_or_nothing');
+
+    expect(outcome).toMatchObject({ applied: false, failure: 'validation' });
+    expect(outcomeOf(outcome)).toEqual({ Blocked: 'Task is blocked by 1 open task', Free: 'ok' });
+    expect(Task.prototype.save).not.toHaveBeenCalled();
+    expect(store.get(free._id).status).toBe('pending');
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('aborts the transaction when a write fails', async () => {
+    const first = store.add({ userId, title: 'First' });
+    const second = store.add({ userId, title: 'Second' });
+    Task.prototype.save
+      .mockImplementationOnce(async function() {
+        return this;
+      })
+      .mockRejectedValueOnce(new Error('write conflict'));
+
+    const outcome = await complete([first, second], 'all_or_nothing');
+
+    expect(outcome).toMatchObject({ applied: false, failure: 'write' });
+    expect(outcomeOf(outcome)).toEqual({ First: 'ok', Second: 'Server error updating task' });
+    // The first save ran inside the transaction, which the abort rolls back
+    expect(Task.prototype.save.mock.calls[0][0]).toEqual({ session });
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('rethrows errors that aren\'t a rollback', async () => {
+    session.withTransaction.mockRejectedValueOnce(new Error('not a replica set'));
+    const task = store.add({ userId, title: 'Task' });
+
+    await expect(complete([task], 'all_or_nothing')).rejects.toThrow('not a replica set');
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('deletes the tasks and unlinks them as blockers in the transaction', async () => {
+    const blocker = store.add({ userId, title: 'Blocker' });
+    const waiting = store.add({ userId, title: 'Waiting', blockedBy: [blocker._id] });
+
+    const outcome = await runBulkOperation(userId, { ids: [String(blocker._id)], action: 'delete', mode: 'all_or_nothing' });
+
+    expect(outcome.applied).toBe(true);
+    expect(store.get(blocker._id)).toBeUndefined();
+    expect(store.get(waiting._id).blockedBy).toEqual([]);
+    expect(Task.deleteMany).toHaveBeenCalledWith(expect.anything(), { session });
+  });
+});
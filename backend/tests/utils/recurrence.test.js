@@ -0,0 +1,93 @@
+const { normalizeRecurrence, nextOccurrence, nextDueDate } = require('../../utils/recurrence');
+
+const at = (iso) => new Date(iso);
+const iso = (date) => date && date.toISOString();
+
+describe('normalizeRecurrence', () => {
+  const anchor = at('2026-03-18T09:00:00Z'); // a Wednesday
+
+  it('defaults the interval to 1', () => {
+    expect(normalizeRecurrence({ frequency: 'daily' }, anchor).interval).toBe(1);
+  });
+
+  it('takes the weekday of a weekly rule from the anchor and sorts weekdays', () => {
+    expect(normalizeRecurrence({ frequency: 'weekly' }, anchor).weekdays).toEqual([3]);
+    expect(normalizeRecurrence({ frequency: 'weekly', weekdays: [5, 1] }, anchor).weekdays).toEqual([1, 5]);
+  });
+
+  it('takes the day of a monthly rule from the anchor', () => {
+    expect(normalizeRecurrence({ frequency: 'monthly' }, anchor).monthDay).toBe(18);
+    expect(normalizeRecurrence({ frequency: 'monthly', weekOfMonth: 2 }, anchor).weekday).toBe(3);
+  });
+});
+
+describe('nextOccurrence', () => {
+  it('adds days for daily rules', () => {
+    expect(iso(nextOccurrence({ frequency: 'daily', interval: 3 }, at('2026-01-30T08:15:00Z')))).toBe('2026-02-02T08:15:00.000Z');
+  });
+
+  it('moves to the next listed weekday, then skips interval weeks', () => {
+    const rule = { frequency: 'weekly', interval: 2, weekdays: [1, 4] };
+    expect(iso(nextOccurrence(rule, at('2026-01-05T09:00:00Z')))).toBe('2026-01-08T09:00:00.000Z'); // Mon -> Thu
+    expect(iso(nextOccurrence(rule, at('2026-01-08T09:00:00Z')))).toBe('2026-01-19T09:00:00.000Z'); // Thu -> Mon in two weeks
+  });
+
+  it('returns the rule day later in the same month', () => {
+    const rule = { frequency: 'monthly', interval: 1, monthDay: 20 };
+    expect(iso(nextOccurrence(rule, at('2026-01-05T09:00:00Z')))).toBe('2026-01-20T09:00:00.000Z');
+  });
+
+  it('moves interval months on from the rule day', () => {
+    const rule = { frequency: 'monthly', interval: 2, monthDay: 20 };
+    expect(iso(nextOccurrence(rule, at('2026-01-20T09:00:00Z')))).toBe('2026-03-20T09:00:00.000Z');
+    expect(iso(nextOccurrence(rule, at('2026-01-25T09:00:00Z')))).toBe('2026-03-20T09:00:00.000Z');
+  });
+
+  it('clamps the day to short months without drifting', () => {
+    const rule = { frequency: 'monthly', interval: 1, monthDay: 31 };
+    expect(iso(nextOccurrence(rule, at('2026-01-31T09:00:00Z')))).toBe('2026-02-28T09:00:00.000Z');
+    expect(iso(nextOccurrence(rule, at('2026-02-28T09:00:00Z')))).toBe('2026-03-31T09:00:00.000Z');
+  });
+
+  it('finds the nth and the last weekday of a month', () => {
+    const secondTuesday = { frequency: 'monthly', interval: 1, weekOfMonth: 2, weekday: 2 };
+    expect(iso(nextOccurrence(secondTuesday, at('2026-01-01T09:00:00Z')))).toBe('2026-01-13T09:00:00.000Z');
+    expect(iso(nextOccurrence(secondTuesday, at('2026-01-13T09:00:00Z')))).toBe('2026-02-10T09:00:00.000Z');
+
+    const lastFriday = { frequency: 'monthly', interval: 1, weekOfMonth: -1, weekday: 5 };
+    expect(iso(nextOccurrence(lastFriday, at('2026-01-05T09:00:00Z')))).toBe('2026-01-30T09:00:00.000Z');
+  });
+});
+
+describe('nextDueDate', () => {
+  const now = at('2026-06-01T12:00:00Z');
+
+  it('returns the next occurrence when it is in the future', () => {
+    expect(iso(nextDueDate({ frequency: 'daily', interval: 1 }, at('2026-06-01T09:00:00Z'), now))).toBe('2026-06-02T09:00:00.000Z');
+  });
+
+  it('skips occurrences that are already past', () => {
+    expect(iso(nextDueDate({ frequency: 'monthly', interval: 1, monthDay: 15 }, at('2026-01-15T09:00:00Z'), now))).toBe('2026-06-15T09:00:00.000Z');
+  });
+
+  it('keeps the cycle of daily and weekly rules that are years overdue', () => {
+    expect(iso(nextDueDate({ frequency: 'daily', interval: 3 }, at('2016-01-01T09:00:00Z'), at('2026-01-01T00:00:00Z'))))
+      .toBe('2026-01-02T09:00:00.000Z');
+    expect(iso(nextDueDate({ frequency: 'weekly', interval: 2, weekdays: [1, 4] }, at('2010-01-04T09:00:00Z'), at('2026-01-01T00:00:00Z'))))
+      .toBe('2026-01-01T09:00:00.000Z');
+  });
+
+  it('ends the series after until', () => {
+    const rule = { frequency: 'weekly', interval: 1, weekdays: [1], until: at('2026-06-05T00:00:00Z') };
+    expect(nextDueDate(rule, at('2026-06-01T09:00:00Z'), now)).toBeNull();
+  });
+
+  it('keeps the cycle of monthly rules that are years overdue', () => {
+    expect(iso(nextDueDate({ frequency: 'monthly', interval: 1, monthDay: 1 }, at('1900-01-01T00:00:00Z'), now)))
+      .toBe('2026-07-01T00:00:00.000Z');
+    expect(iso(nextDueDate({ frequency: 'monthly', interval: 5, monthDay: 31 }, at('2000-01-31T09:00:00Z'), now)))
+      .toBe('2026-09-30T09:00:00.000Z');
+    expect(iso(nextDueDate({ frequency: 'monthly', interval: 1, weekOfMonth: -1, weekday: 5 }, at('2001-03-30T09:00:00Z'), now)))
+      .toBe('2026-06-26T09:00:00.000Z');
+  });
+});
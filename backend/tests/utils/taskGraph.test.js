@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { createTaskStore } = require('../helpers/taskStore');
+const { findOpenBlockers, validateBlockers, buildDependencyGraph } = require('../../utils/taskGraph');
+
+const userId = new mongoose.Types.ObjectId();
+let store;
+
+beforeEach(() => {
+  store = createTaskStore();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('findOpenBlockers', () => {
+  it('returns only blockers that are neither completed nor cancelled', async () => {
+    const open = store.add({ userId, title: 'Open' });
+    const done = store.add({ userId, title: 'Done', status: 'completed' });
+    const dropped = store.add({ userId, title: 'Dropped', status: 'cancelled' });
+
+    const blockers = await findOpenBlockers(userId, [open._id, done._id, dropped._id]);
+    expect(blockers.map(task => task.title)).toEqual(['Open']);
+  });
+
+  it('returns nothing without blockers', async () => {
+    expect(await findOpenBlockers(userId, [])).toEqual([]);
+  });
+});
+
+describe('validateBlockers', () => {
+  it('rejects a task blocking itself', async () => {
+    const task = store.add({ userId, title: 'Self' });
+    expect(await validateBlockers(userId, task._id, [task._id])).toEqual({ message: 'A task cannot be blocked by itself' });
+  });
+
+  it('rejects blockers that are not the user\'s tasks', async () => {
+    const task = store.add({ userId, title: 'Task' });
+    const foreign = store.add({ userId: new mongoose.Types.ObjectId(), title: 'Someone else\'s' });
+
+    expect(await validateBlockers(userId, task._id, [foreign._id])).toEqual({
+      message: 'Blocking tasks not found',
+      missing: [String(foreign._id)]
+    });
+  });
+
+  it('rejects a dependency that closes a cycle and reports it', async () => {
+    const c = store.add({ userId, title: 'C' });
+    const b = store.add({ userId, title: 'B', blockedBy: [c._id] });
+    const a = store.add({ userId, title: 'A', blockedBy: [b._id] });
+
+    expect(await validateBlockers(userId, c._id, [a._id])).toEqual({
+      message: 'These dependencies would create a cycle',
+      cycle: [c, a, b, c].map(task => String(task._id))
+    });
+  });
+
+  it('accepts blockers that don\'t depend on the task', async () => {
+    const c = store.add({ userId, title: 'C' });
+    const b = store.add({ userId, title: 'B', blockedBy: [c._id] });
+    const a = store.add({ userId, title: 'A' });
+
+    expect(await validateBlockers(userId, a._id, [b._id, c._id])).toBeNull();
+  });
+});
+
+describe('buildDependencyGraph', () => {
+  it('walks blockers upstream and waiting tasks downstream', async () => {
+    const root = store.add({ userId, title: 'Root' });
+    const middle = store.add({ userId, title: 'Middle', blockedBy: [root._id] });
+    const leaf = store.add({ userId, title: 'Leaf', blockedBy: [middle._id] });
+    const unrelated = store.add({ userId, title: 'Unrelated' });
+
+    const graph = await buildDependencyGraph(userId, middle._id);
+
+    expect(graph.task.title).toBe('Middle');
+    expect(graph.upstream.map(task => [task.title, task.depth])).toEqual([['Root', 1]]);
+    expect(graph.downstream.map(task => [task.title, task.depth])).toEqual([['Leaf', 1]]);
+    expect(graph.edges).toEqual(expect.arrayContaining([
+      { from: String(root._id), to: String(middle._id) },
+      { from: String(middle._id), to: String(leaf._id) }
+    ]));
+    expect(graph.edges).toHaveLength(2);
+    expect(JSON.stringify(graph)).not.toContain(String(unrelated._id));
+  });
+
+  it('returns null for another user\'s task', async () => {
+    const task = store.add({ userId: new mongoose.Types.ObjectId(), title: 'Private' });
+    expect(await buildDependencyGraph(userId, task._id)).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+const { parseTaskSearch, highlightTask } = require('../../utils/taskSearch');
+
+const now = new Date('2026-10-19T15:30:00Z');
+const parse = (query) => parseTaskSearch(query, now);
+
+describe('parseTaskSearch', () => {
+  it('sends words and phrases to the text index', () => {
+    const { filter, hasText, terms } = parse('Quarterly "budget review" -draft');
+    expect(filter).toEqual({ $text: { $search: 'Quarterly "budget review" -draft' } });
+    expect(hasText).toBe(true);
+    expect(terms).toEqual(['quarterly', 'budget', 'review']);
+  });
+
+  it('matches word* prefixes with an anchored regex on the indexed words', () => {
+    const { filter, hasText, terms } = parse('Proj*');
+    expect(filter).toEqual({ $and: [{ searchWords: { $regex: '^proj' } }] });
+    expect(hasText).toBe(false);
+    expect(terms).toEqual(['proj']);
+  });
+
+  it('splits prefixes on punctuation like the indexed words', () => {
+    expect(parse('re-ope*').filter.$and).toEqual([{ searchWords: 're' }, { searchWords: { $regex: '^ope' } }]);
+  });
+
+  it('escapes regular expression characters in prefixes', () => {
+    expect(parse('c++*').filter.$and).toEqual([{ searchWords: { $regex: '^c' } }]);
+    expect(parse('a.b*').filter.$and).toEqual([{ searchWords: 'a' }, { searchWords: { $regex: '^b' } }]);
+  });
+
+  it('narrows by tags, priorities and due dates', () => {
+    const { filter } = parse('tag:work -tag:someday priority:high,urgent -priority:low due:today');
+    expect(filter.$and).toEqual([
+      { priority: { $in: ['high', 'urgent'] } },
+      { priority: { $nin: ['low'] } },
+      { dueDate: { $gte: new Date('2026-10-19T00:00:00Z'), $lt: new Date('2026-10-20T00:00:00Z') } },
+      { tags: { $all: ['work'], $nin: ['someday'] } }
+    ]);
+  });
+
+  it('supports due date comparisons and keywords', () => {
+    expect(parse('due:<2026-11-01').filter.$and).toEqual([{ dueDate: { $lt: new Date('2026-11-01T00:00:00Z') } }]);
+    expect(parse('due:>2026-11-01').filter.$and).toEqual([{ dueDate: { $gte: new Date('2026-11-02T00:00:00Z') } }]);
+    expect(parse('due:overdue').filter.$and).toEqual([{ dueDate: { $lt: now }, status: { $ne: 'completed' } }]);
+    expect(parse('due:none').filter.$and).toEqual([{ dueDate: null }]);
+  });
+
+  it('searches unknown keys as text', () => {
+    expect(parse('re:invoice').filter).toEqual({ $text: { $search: 're:invoice' } });
+  });
+
+  it.each([
+    ['an invalid priority', 'priority:critical', 'Invalid priority "critical"'],
+    ['an invalid date', 'due:2026-13-45', 'Invalid date "2026-13-45"'],
+    ['only excluded words', '-foo', 'Excluded words (-word) need at least one word to search for'],
+    ['only an excluded phrase with a filter', '-"big project" tag:work', 'Excluded words (-word) need at least one word'],
+    ['a query that is too long', 'a'.repeat(201), 'Search cannot exceed 200 characters']
+  ])('rejects %s', (name, query, message) => {
+    expect(() => parse(query)).toThrow(expect.objectContaining({ name: 'TaskSearchError', message: expect.stringContaining(message) }));
+  });
+});
+
+describe('highlightTask', () => {
+  it('marks words starting with a term in the title and tags', () => {
+    const highlights = highlightTask({ title: 'Plan the project kickoff', tags: ['projects', 'q4'] }, ['proj']);
+    expect(highlights.title).toEqual({ text: 'Plan the project kickoff', matches: [[9, 16]] });
+    expect(highlights.tags).toEqual(['projects']);
+    expect(highlights.description).toBeUndefined();
+  });
+
+  it('does not match inside words', () => {
+    expect(highlightTask({ title: 'Unplanned work' }, ['plan'])).toEqual({});
+  });
+
+  it('cuts long descriptions to a snippet around the first match', () => {
+    const description = `${'filler '.repeat(40)}the budget is due ${'more '.repeat(40)}`;
+    const { description: snippet } = highlightTask({ title: '', description }, ['budget']);
+    expect(snippet.text.startsWith('…')).toBe(true);
+    expect(snippet.text.endsWith('…')).toBe(true);
+    const [[start, end]] = snippet.matches;
+    expect(snippet.text.slice(start, end)).toBe('budget');
+  });
+
+  it('returns nothing without terms', () => {
+    expect(highlightTask({ title: 'Anything' }, [])).toEqual({});
+  });
+});
@@ -0,0 +1,80 @@
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpAuthUri,
+  base32Encode,
+  base32Decode
+} = require('../../utils/totp');
+
+// RFC 6238 appendix B, SHA-1 secret, truncated to 6 digits
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037']
+];
+
+describe('base32', () => {
+  it('round-trips arbitrary bytes', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+  });
+
+  it('ignores case, padding and whitespace', () => {
+    expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('generateCode', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 vector at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, Math.floor(seconds / 30))).toBe(code);
+  });
+});
+
+describe('verifyCode', () => {
+  const timestamp = 1111111109 * 1000;
+  const step = Math.floor(timestamp / 30000);
+
+  it('returns the matching step', () => {
+    expect(verifyCode(RFC_SECRET, '081804', { timestamp })).toBe(step);
+  });
+
+  it('accepts one step of drift either side by default', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { timestamp })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { timestamp })).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { timestamp })).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '81804', { timestamp })).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', { timestamp })).toBeNull();
+    expect(verifyCode(RFC_SECRET, 81804, { timestamp })).toBeNull();
+  });
+});
+
+describe('generateSecret', () => {
+  it('creates a 160-bit base32 secret', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+  });
+});
+
+describe('buildOtpAuthUri', () => {
+  it('labels the account with the issuer', () => {
+    const uri = new URL(buildOtpAuthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'ada@example.com' }));
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/BlueScar:ada@example.com');
+    expect(uri.searchParams.get('secret')).toBe('JBSWY3DPEHPK3PXP');
+    expect(uri.searchParams.get('digits')).toBe('6');
+    expect(uri.searchParams.get('period')).toBe('30');
+  });
+});
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const {
+  WebAuthnError,
+  decodeCbor,
+  generateChallenge,
+  readChallenge,
+  verifyRegistration,
+  verifyAuthentication
+} = require('../../utils/webauthn');
+
+const RP_ID = 'localhost';
+const ORIGIN = 'http://localhost:3000';
+const options = (challenge) => ({ expectedChallenge: challenge, rpId: RP_ID, origins: [ORIGIN] });
+
+// Just enough CBOR encoding to build what an authenticator would send
+const head = (major, length) => {
+  if (length < 24) return Buffer.from([(major << 5) | length]);
+  if (length < 256) return Buffer.from([(major << 5) | 24, length]);
+  const buffer = Buffer.alloc(3);
+  buffer[0] = (major << 5) | 25;
+  buffer.writeUInt16BE(length, 1);
+  return buffer;
+};
+
+const encodeCbor = (value) => {
+  if (typeof value === 'boolean') {
+    return Buffer.from([value ? 0xf5 : 0xf4]);
+  }
+  if (Number.isInteger(value)) {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([head(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    return Buffer.concat([head(3, Buffer.byteLength(value)), Buffer.from(value)]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([head(4, value.length), ...value.map(encodeCbor)]);
+  }
+  if (value instanceof Map) {
+    return Buffer.concat([head(5, value.size), ...[...value].flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)])]);
+  }
+  throw new Error(`Cannot encode ${value}`);
+};
+
+const rpIdHash = crypto.createHash('sha256').update(RP_ID).digest();
+
+const authenticatorData = (flags, signCount, attested = Buffer.alloc(0)) => {
+  const counter = Buffer.alloc(4);
+  counter.writeUInt32BE(signCount);
+  return Buffer.concat([rpIdHash, Buffer.from([flags]), counter, attested]);
+};
+
+const clientData = (type, challenge, extra = {}) =>
+  Buffer.from(JSON.stringify({ type, challenge, origin: ORIGIN, ...extra })).toString('base64url');
+
+// A software authenticator with a P-256 key
+const createAuthenticator = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const { x, y } = publicKey.export({ format: 'jwk' });
+  const credentialId = crypto.randomBytes(16);
+  const coseKey = new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.from(x, 'base64url')], [-3, Buffer.from(y, 'base64url')]]);
+
+  const idLength = Buffer.alloc(2);
+  idLength.writeUInt16BE(credentialId.length);
+  const attestedData = Buffer.concat([Buffer.alloc(16), idLength, credentialId, encodeCbor(coseKey)]);
+
+  return {
+    id: credentialId.toString('base64url'),
+
+    create(challenge, { authData = authenticatorData(0x45, 0, attestedData) } = {}) {
+      return {
+        id: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientData('webauthn.create', challenge),
+          attestationObject: encodeCbor(new Map([['fmt', 'none'], ['attStmt', new Map()], ['authData', authData]])).toString('base64url')
+        }
+      };
+    },
+
+    get(challenge, signCount, { key = privateKey } = {}) {
+      const authData = authenticatorData(0x05, signCount);
+      const clientDataJSON = clientData('webauthn.get', challenge);
+      const signedData = Buffer.concat([authData, crypto.createHash('sha256').update(Buffer.from(clientDataJSON, 'base64url')).digest()]);
+      return {
+        id: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON,
+          authenticatorData: authData.toString('base64url'),
+          signature: crypto.sign('sha256', signedData, key).toString('base64url')
+        }
+      };
+    }
+  };
+};
+
+describe('decodeCbor', () => {
+  it('decodes integers, strings, arrays, maps and simple values', () => {
+    const value = new Map([['a', [1, -24, 500]], [-1, Buffer.from([1, 2])], ['t', true]]);
+    const [decoded, offset] = decodeCbor(encodeCbor(value));
+    expect(decoded).toEqual(value);
+    expect(offset).toBe(encodeCbor(value).length);
+    expect(decodeCbor(Buffer.from([0xf6]))[0]).toBeNull();
+  });
+
+  it.each([
+    ['truncated data', Buffer.from([0x62, 0x61])],
+    ['an empty buffer', Buffer.alloc(0)],
+    ['an unsupported length', Buffer.from([0x1c])],
+    ['floats', Buffer.from([0xfa, 0, 0, 0, 0])],
+    ['tags', Buffer.from([0xc0, 0x01])],
+    ['deeply nested arrays', Buffer.alloc(1000, 0x81)]
+  ])('rejects %s with a WebAuthnError', (name, buffer) => {
+    expect(() => decodeCbor(buffer)).toThrow(WebAuthnError);
+  });
+});
+
+describe('registration and authentication', () => {
+  const authenticator = createAuthenticator();
+  const challenge = generateChallenge();
+  let stored;
+
+  beforeAll(() => {
+    stored = verifyRegistration(authenticator.create(challenge), options(challenge));
+  });
+
+  it('registers the attested credential', () => {
+    expect(stored).toMatchObject({ credentialId: authenticator.id, algorithm: -7, signCount: 0, userVerified: true });
+    expect(crypto.createPublicKey({ key: Buffer.from(stored.publicKey, 'base64url'), format: 'der', type: 'spki' }).asymmetricKeyType).toBe('ec');
+  });
+
+  it('verifies an assertion signed with the registered key', () => {
+    const loginChallenge = generateChallenge();
+    const result = verifyAuthentication(authenticator.get(loginChallenge, 1), stored, options(loginChallenge));
+    expect(result).toEqual({ signCount: 1, userVerified: true });
+  });
+
+  it('reads the challenge before verification', () => {
+    expect(readChallenge(authenticator.get('abc', 1))).toBe('abc');
+    expect(readChallenge({})).toBeNull();
+  });
+
+  it('rejects another challenge', () => {
+    expect(() => verifyAuthentication(authenticator.get('other', 1), stored, options('expected')))
+      .toThrow('Challenge mismatch');
+  });
+
+  it('rejects another origin', () => {
+    const credential = authenticator.get('c', 1);
+    expect(() => verifyAuthentication(credential, stored, { ...options('c'), origins: ['https://example.com'] }))
+      .toThrow(`Origin ${ORIGIN} is not allowed`);
+  });
+
+  it('rejects another relying party', () => {
+    expect(() => verifyAuthentication(authenticator.get('c', 1), stored, { ...options('c'), rpId: 'example.com' }))
+      .toThrow('Relying party ID mismatch');
+  });
+
+  it('rejects a signature by another key', () => {
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    expect(() => verifyAuthentication(authenticator.get('c', 1, { key: privateKey }), stored, options('c')))
+      .toThrow('Invalid signature');
+  });
+
+  it('rejects a counter that did not increase', () => {
+    expect(() => verifyAuthentication(authenticator.get('c', 4), { ...stored, signCount: 4 }, options('c')))
+      .toThrow('Signature counter did not increase');
+  });
+
+  it('rejects a credential it was not registered for', () => {
+    expect(() => verifyAuthentication(createAuthenticator().get('c', 1), stored, options('c')))
+      .toThrow('Credential mismatch');
+  });
+});
+
+describe('malformed credentials', () => {
+  const authenticator = createAuthenticator();
+  const stored = { credentialId: authenticator.id, algorithm: -7, publicKey: 'AA', signCount: 0 };
+
+  it.each([
+    ['a missing credential', null],
+    ['a missing response', { id: authenticator.id, type: 'public-key' }],
+    ['a missing signature', { id: authenticator.id, type: 'public-key', response: { clientDataJSON: 'e30', authenticatorData: 'AA' } }]
+  ])('rejects %s', (name, credential) => {
+    expect(() => verifyAuthentication(credential, stored, options('c'))).toThrow(WebAuthnError);
+  });
+
+  it('rejects authenticator data shorter than its header', () => {
+    const credential = authenticator.get('c', 1);
+    credential.response.authenticatorData = Buffer.alloc(10).toString('base64url');
+    expect(() => verifyAuthentication(credential, stored, options('c'))).toThrow('Authenticator data is too short');
+  });
+
+  it('rejects client data that is not an object', () => {
+    const credential = authenticator.get('c', 1);
+    credential.response.clientDataJSON = Buffer.from('null').toString('base64url');
+    expect(() => verifyAuthentication(credential, stored, options('c'))).toThrow('Client data is not an object');
+  });
+
+  it('rejects attested credential data cut short', () => {
+    const authData = authenticatorData(0x45, 0, Buffer.from([0, 0, 0]));
+    expect(() => verifyRegistration(authenticator.create('c', { authData }), options('c')))
+      .toThrow('Attested credential data is too short');
+  });
+
+  it('rejects a credential id longer than the data', () => {
+    const attested = Buffer.concat([Buffer.alloc(16), Buffer.from([0xff, 0xff]), Buffer.alloc(4)]);
+    expect(() => verifyRegistration(authenticator.create('c', { authData: authenticatorData(0x45, 0, attested) }), options('c')))
+      .toThrow('Attested credential data is too short');
+  });
+
+  it('rejects a COSE key with missing coordinates', () => {
+    const coseKey = new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.alloc(32)]]);
+    const attested = Buffer.concat([Buffer.alloc(16), Buffer.from([0, 1]), Buffer.from([7]), encodeCbor(coseKey)]);
+    expect(() => verifyRegistration(authenticator.create('c', { authData: authenticatorData(0x45, 0, attested) }), options('c')))
+      .toThrow('Malformed credential public key');
+  });
+
+  it('rejects a COSE key that is not a valid point', () => {
+    const coseKey = new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.alloc(32)], [-3, Buffer.alloc(32)]]);
+    const attested = Buffer.concat([Buffer.alloc(16), Buffer.from([0, 1]), Buffer.from([7]), encodeCbor(coseKey)]);
+    expect(() => verifyRegistration(authenticator.create('c', { authData: authenticatorData(0x45, 0, attested) }), options('c')))
+      .toThrow(WebAuthnError);
+  });
+});
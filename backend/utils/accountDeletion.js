@@ -0,0 +1,166 @@
+const User = require('../models/User');
+const AccountDeletion = require('../models/AccountDeletion');
+const { cache } = require('../config/redis');
+const logger = require('./logger');
+const { hashToken } = require('./tokens');
+
+// Account deletion is two-phase: DELETE /auth/me schedules it, signing in during the
+// grace period cancels it, and the sweeper purges accounts whose grace period is over.
+// Every route module registers a purger for the Mongo documents and Redis keys it owns.
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+const SWEEP_INTERVAL = 60 * 60 * 1000; // hourly
+const RETRY_AFTER = 60 * 60 * 1000; // a failed or abandoned purge is retried after an hour
+const MAX_PURGE_ATTEMPTS = 5;
+
+const purgers = new Map();
+
+// handler(userId, user) resolves to a count of what it removed, recorded on the audit record
+const registerPurger = (name, handler) => {
+  purgers.set(name, handler);
+};
+
+// Removes a Redis id list (orders, emails, drafts) and every item it references
+const purgeIndexedItems = async (indexKey, itemPrefix) => {
+  const ids = await cache.get(indexKey) || [];
+
+  for (const id of ids) {
+    await cache.del(`${itemPrefix}${id}`);
+  }
+  await cache.del(indexKey);
+
+  return ids.length;
+};
+
+const scheduleAccountDeletion = async (user, ip) => {
+  const scheduledFor = new Date(Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+  user.deletionScheduledFor = scheduledFor;
+  await user.save();
+
+  await AccountDeletion.create({
+    userId: user._id,
+    emailHash: hashToken(user.email),
+    requestedFromIp: ip,
+    scheduledFor
+  });
+
+  return scheduledFor;
+};
+
+// The deletion still under way for the user: scheduled, or being (or failing to be) purged
+const findPendingDeletion = (userId) => AccountDeletion.findOne({
+  userId,
+  status: { $in: ['scheduled', 'purging', 'failed'] }
+});
+
+// Returns true if a pending deletion was cancelled
+const cancelAccountDeletion = async (user) => {
+  if (!user.deletionScheduledFor) {
+    return false;
+  }
+
+  // Too late once the sweeper has claimed the record
+  const record = await AccountDeletion.findOneAndUpdate(
+    { userId: user._id, status: 'scheduled' },
+    { status: 'cancelled', cancelledAt: new Date() },
+    { new: true }
+  );
+
+  if (!record) {
+    // A purge in progress is left to finish; a flag without any deletion behind it is stale
+    if (!(await findPendingDeletion(user._id))) {
+      user.deletionScheduledFor = undefined;
+      await user.save();
+      await cache.del(`user_${user._id}`);
+    }
+    return false;
+  }
+
+  user.deletionScheduledFor = undefined;
+  await user.save();
+
+  // API keys, suspended while the deletion was scheduled, work again
+  await cache.del(`user_${user._id}`);
+  return true;
+};
+
+const purgeUser = async (record) => {
+  const user = await User.findById(record.userId);
+  const purged = {};
+
+  for (const [name, handler] of purgers) {
+    purged[name] = await handler(record.userId.toString(), user);
+  }
+
+  const { deletedCount } = await User.deleteOne({ _id: record.userId });
+  purged.user = deletedCount;
+
+  return purged;
+};
+
+const processDueDeletions = async () => {
+  // Redis keys can't be purged while it is down, so leave everything scheduled until it is back
+  if (!cache.isAvailable()) {
+    logger.warn('Skipping account deletion sweep: Redis not available');
+    return;
+  }
+
+  // Claim records one at a time so several instances can sweep concurrently. Purgers
+  // are idempotent, so failed purges and ones abandoned by a crashed sweeper are retried.
+  const claim = () => {
+    const now = new Date();
+    const retryBefore = new Date(now.getTime() - RETRY_AFTER);
+
+    return AccountDeletion.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'scheduled', scheduledFor: { $lte: now } },
+          { status: { $in: ['failed', 'purging'] }, claimedAt: { $lte: retryBefore }, attempts: { $lt: MAX_PURGE_ATTEMPTS } }
+        ]
+      },
+      { status: 'purging', claimedAt: now, $inc: { attempts: 1 } },
+      { new: true, sort: { scheduledFor: 1 } }
+    );
+  };
+
+  let record;
+  while ((record = await claim())) {
+    try {
+      const purged = await purgeUser(record);
+
+      record.status = 'completed';
+      record.completedAt = new Date();
+      record.purged = purged;
+      await record.save();
+
+      logger.info(`Account ${record.userId} deleted after grace period`);
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+      await record.save();
+
+      const retrying = record.attempts < MAX_PURGE_ATTEMPTS;
+      logger.error(`Account deletion failed for ${record.userId} (attempt ${record.attempts}, ${retrying ? 'will retry' : 'giving up'}):`, error);
+    }
+  }
+};
+
+const startDeletionSweeper = () => {
+  const sweep = () => processDueDeletions().catch(error => logger.error('Account deletion sweep error:', error));
+
+  sweep();
+  const timer = setInterval(sweep, SWEEP_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  registerPurger,
+  purgeIndexedItems,
+  scheduleAccountDeletion,
+  findPendingDeletion,
+  cancelAccountDeletion,
+  processDueDeletions,
+  startDeletionSweeper
+};
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const CalendarEvent = require('../models/CalendarEvent');
+const Reminder = require('../models/Reminder');
+const { cache } = require('../config/redis');
+const logger = require('./logger');
+const { sendMail } = require('./mailer');
+const { createZip } = require('./zip');
+const { buildCalendar } = require('./ics');
+
+// Export jobs run in-process in the background. Job state and the finished
+// archive live in Redis so any instance can serve the status and download.
+//   export_job:<id>            -> { id, userId, status, createdAt, completedAt, size, error }
+//   export_archive:<id>        -> base64 ZIP
+//   user_active_export:<userId> -> id of the job still running
+//   user_exports:<userId>       -> set of the user's job ids, so they can be purged
+const ARCHIVE_TTL = 24 * 60 * 60; // downloads are available for 24 hours
+const JOB_TIMEOUT = 60 * 60; // a job still "processing" after this is considered dead
+
+const jobKey = (exportId) => `export_job:${exportId}`;
+const archiveKey = (exportId) => `export_archive:${exportId}`;
+const activeExportKey = (userId) => `user_active_export:${userId}`;
+const userExportsKey = (userId) => `user_exports:${userId}`;
+
+// Items referenced from a Redis id list (orders, emails, drafts)
+const loadIndexedItems = async (indexKey, itemPrefix) => {
+  const ids = await cache.get(indexKey) || [];
+  const items = [];
+
+  for (const id of ids) {
+    const item = await cache.get(`${itemPrefix}${id}`);
+    if (item) items.push(item);
+  }
+
+  return items;
+};
+
+const collectUserData = async (userId) => {
+  const [user, tasks, events, reminders] = await Promise.all([
+    User.findById(userId),
+    Task.find({ userId }).sort({ createdAt: 1 }).lean(),
+    CalendarEvent.find({ userId }).sort({ startDate: 1 }).lean(),
+    Reminder.find({ userId }).sort({ reminderDate: 1 }).lean()
+  ]);
+
+  return {
+    profile: user ? user.toJSON() : null,
+    tasks,
+    events,
+    reminders,
+    chatHistory: await cache.get(`chat_history:${userId}`) || [],
+    orders: await loadIndexedItems(`user_orders:${userId}`, 'order:'),
+    emails: await loadIndexedItems(`user_emails:${userId}`, 'email:'),
+    drafts: await loadIndexedItems(`user_drafts:${userId}`, 'draft:'),
+    scheduledEmails: await loadIndexedItems(`user_scheduled_emails:${userId}`, 'scheduled_email:')
+  };
+};
+
+const buildArchive = (data, exportedAt) => {
+  const json = (value) => JSON.stringify(value, null, 2);
+
+  const manifest = {
+    exportedAt,
+    format: 'bluescar-account-export/1',
+    counts: {
+      tasks: data.tasks.length,
+      calendarEvents: data.events.length,
+      reminders: data.reminders.length,
+      chatMessages: data.chatHistory.length,
+      orders: data.orders.length,
+      emails: data.emails.length,
+      drafts: data.drafts.length,
+      scheduledEmails: data.scheduledEmails.length
+    }
+  };
+
+  return createZip([
+    { name: 'manifest.json', content: json(manifest) },
+    { name: 'profile.json', content: json(data.profile) },
+    { name: 'tasks.json', content: json(data.tasks) },
+    { name: 'calendar/events.json', content: json(data.events) },
+    { name: 'calendar/events.ics', content: buildCalendar(data.events) },
+    { name: 'reminders.json', content: json(data.reminders) },
+    { name: 'chat/history.json', content: json(data.chatHistory) },
+    { name: 'orders.json', content: json(data.orders) },
+    { name: 'email/sent.json', content: json(data.emails) },
+    { name: 'email/drafts.json', content: json(data.drafts) },
+    { name: 'email/scheduled.json', content: json(data.scheduledEmails) }
+  ], exportedAt);
+};
+
+const updateJob = async (job, changes) => {
+  Object.assign(job, changes);
+  await cache.set(jobKey(job.id), job, ARCHIVE_TTL);
+};
+
+const runExportJob = async (job, { io, user }) => {
+  try {
+    await updateJob(job, { status: 'processing' });
+
+    const exportedAt = new Date();
+    const data = await collectUserData(job.userId);
+    const archive = buildArchive(data, exportedAt);
+
+    const stored = await cache.set(archiveKey(job.id), archive.toString('base64'), ARCHIVE_TTL);
+    if (!stored) {
+      throw new Error('Archive storage unavailable');
+    }
+
+    await updateJob(job, {
+      status: 'ready',
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + ARCHIVE_TTL * 1000),
+      size: archive.length
+    });
+
+    logger.info(`Account export ${job.id} ready for user: ${job.userId} (${archive.length} bytes)`);
+
+    // Tell any open dashboard right away, and email in case the user left
+    if (io) {
+      io.to(`user_${job.userId}`).emit('account_export_ready', {
+        exportId: job.id,
+        size: archive.length,
+        expiresAt: job.expiresAt
+      });
+    }
+
+    if (user.preferences?.notifications?.email !== false) {
+      sendMail({
+        to: user.email,
+        subject: 'Your BlueScar data export is ready',
+        text: `Hi ${user.firstName},\n\nThe export of your BlueScar account data is ready. Sign in and download it from your account settings within the next 24 hours.`
+      }).catch(mailError => logger.error('Export notification error:', mailError));
+    }
+
+  } catch (error) {
+    logger.error(`Account export ${job.id} failed:`, error);
+    await updateJob(job, { status: 'failed', error: 'Export could not be completed' });
+
+    if (io) {
+      io.to(`user_${job.userId}`).emit('account_export_failed', { exportId: job.id });
+    }
+  } finally {
+    await cache.del(activeExportKey(job.userId));
+  }
+};
+
+// Queues an export and returns the job, or { existing } if one is already running
+const startAccountExport = async (user, { io } = {}) => {
+  const userId = user._id.toString();
+
+  const activeId = await cache.get(activeExportKey(userId));
+  if (activeId) {
+    const activeJob = await getExportJob(activeId);
+    if (activeJob) {
+      return { existing: activeJob };
+    }
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    userId,
+    status: 'pending',
+    createdAt: new Date()
+  };
+
+  await cache.set(jobKey(job.id), job, ARCHIVE_TTL);
+  await cache.set(activeExportKey(userId), job.id, JOB_TIMEOUT);
+  await cache.sadd(userExportsKey(userId), job.id);
+  await cache.expire(userExportsKey(userId), ARCHIVE_TTL);
+
+  setImmediate(() => runExportJob(job, { io, user }));
+
+  return { job };
+};
+
+const getExportJob = (exportId) => cache.get(jobKey(exportId));
+
+const getExportArchive = async (exportId) => {
+  const encoded = await cache.get(archiveKey(exportId));
+  return encoded ? Buffer.from(encoded, 'base64') : null;
+};
+
+// Removes every export job and archive of the user; returns how many jobs there were
+const deleteUserExports = async (userId) => {
+  const exportIds = await cache.smembers(userExportsKey(userId));
+
+  for (const exportId of exportIds) {
+    await cache.del(jobKey(exportId));
+    await cache.del(archiveKey(exportId));
+  }
+  await cache.del(userExportsKey(userId));
+  await cache.del(activeExportKey(userId));
+
+  return exportIds.length;
+};
+
+module.exports = {
+  startAccountExport,
+  getExportJob,
+  getExportArchive,
+  deleteUserExports
+};
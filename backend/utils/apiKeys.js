@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { cache } = require('../config/redis');
+const logger = require('./logger');
+const { hashToken } = require('./tokens');
+const { disconnectSockets } = require('./realtime');
+
+// Keys look like bsk_<48 hex chars>. Lookups are cached by hash for a few minutes;
+// revoking a key drops its cache entry so it stops working immediately.
+const KEY_PREFIX = 'bsk_';
+const LOOKUP_CACHE_TTL = 5 * 60;
+const LAST_USED_INTERVAL = 60; // record usage at most once a minute per key
+
+const lookupKey = (keyHash) => `api_key:${keyHash}`;
+
+const generateApiKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  return {
+    key,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashToken(key)
+  };
+};
+
+// Returns { id, userId, scopes } for a usable key, or null
+const authenticateApiKey = async (rawKey, ip) => {
+  if (!rawKey || !rawKey.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const keyHash = hashToken(rawKey);
+  let apiKey = await cache.get(lookupKey(keyHash));
+
+  if (!apiKey) {
+    const doc = await ApiKey.findOne({ keyHash });
+    if (!doc) {
+      return null;
+    }
+
+    apiKey = {
+      id: doc._id.toString(),
+      userId: doc.userId.toString(),
+      scopes: doc.scopes,
+      expiresAt: doc.expiresAt,
+      revokedAt: doc.revokedAt
+    };
+    await cache.set(lookupKey(keyHash), apiKey, LOOKUP_CACHE_TTL);
+  }
+
+  if (apiKey.revokedAt || (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date())) {
+    return null;
+  }
+
+  if (!await cache.exists(`api_key_used:${apiKey.id}`)) {
+    await cache.set(`api_key_used:${apiKey.id}`, true, LAST_USED_INTERVAL);
+    ApiKey.updateOne({ _id: apiKey.id }, { lastUsedAt: new Date(), lastUsedIp: ip })
+      .catch(error => logger.error('API key usage update error:', error));
+  }
+
+  return apiKey;
+};
+
+const revokeApiKey = async (apiKey) => {
+  apiKey.revokedAt = new Date();
+  await apiKey.save();
+  await cache.del(lookupKey(apiKey.keyHash));
+  disconnectSockets(`api_key_${apiKey.id}`, 'API key revoked');
+};
+
+// Removes every key of the user; returns how many there were
+const deleteUserApiKeys = async (userId) => {
+  const apiKeys = await ApiKey.find({ userId });
+
+  for (const apiKey of apiKeys) {
+    await cache.del(lookupKey(apiKey.keyHash));
+    disconnectSockets(`api_key_${apiKey.id}`, 'API key revoked');
+  }
+
+  const { deletedCount } = await ApiKey.deleteMany({ userId });
+  return deletedCount;
+};
+
+module.exports = {
+  generateApiKey,
+  authenticateApiKey,
+  revokeApiKey,
+  deleteUserApiKeys
+};
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const logger = require('./logger');
+const { GUARDED_STATUSES, findOpenBlockers } = require('./taskGraph');
+const { spawnNextOccurrence } = require('./recurrence');
+
+// Bulk updates and deletes for POST /api/tasks/bulk. Every task goes through the same
+// checks as a single update. In best_effort mode the tasks that pass are written and
+// the rest reported; all_or_nothing runs in a transaction (which needs a replica set,
+// as MongoDB Atlas provides) and writes nothing unless every task succeeds.
+const MAX_BULK_TASKS = 500;
+const MAX_TAGS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Thrown inside the transaction to roll it back
+class BulkAbort extends Error {
+  constructor(reason) {
+    super(`Bulk operation rolled back (${reason})`);
+    this.name = 'BulkAbort';
+    this.reason = reason;
+  }
+}
+
+const bulkFilterQuery = (userId, { status, priority, tag, dueBefore, dueAfter }) => {
+  const query = { userId };
+  if (status) query.status = status;
+  if (priority) query.priority = priority;
+  if (tag) query.tags = tag;
+  if (dueBefore || dueAfter) {
+    query.dueDate = {};
+    if (dueBefore) query.dueDate.$lt = dueBefore;
+    if (dueAfter) query.dueDate.$gt = dueAfter;
+  }
+  return query;
+};
+
+// One result per requested task, in the order of `ids`; ids that aren't the user's
+// tasks fail. Returns null when a filter matches too many tasks.
+const loadBulkTasks = async (userId, { ids, filter }, session) => {
+  const query = ids ? { _id: { $in: ids }, userId } : bulkFilterQuery(userId, filter);
+  const tasks = await Task.find(query).limit(MAX_BULK_TASKS + 1).session(session || null);
+  if (tasks.length > MAX_BULK_TASKS) {
+    return null;
+  }
+
+  const found = new Map(tasks.map(task => [String(task._id), task]));
+  return (ids || tasks.map(task => String(task._id))).map(id => ({
+    id,
+    task: found.get(id),
+    error: found.has(id) ? null : 'Task not found'
+  }));
+};
+
+// Applies the changes to each found task in memory and records why a task can't take
+// them. Blockers that the same batch successfully completes or cancels don't count as open.
+const prepareBulkUpdate = async (userId, results, changes) => {
+  const { status, priority, addTags = [], removeTags = [], shiftDueDateDays } = changes;
+
+  for (const result of results.filter(item => !item.error)) {
+    const { task } = result;
+    if (status) task.status = status;
+    if (priority) task.priority = priority;
+    if (addTags.length || removeTags.length) {
+      task.tags = [...new Set([...task.tags, ...addTags])].filter(tag => !removeTags.includes(tag));
+    }
+    if (shiftDueDateDays) {
+      if (!task.dueDate) {
+        result.error = 'Task has no due date to shift';
+        continue;
+      }
+      task.dueDate = new Date(task.dueDate.getTime() + shiftDueDateDays * DAY_MS);
+    }
+
+    if (task.tags.length > MAX_TAGS) {
+      result.error = `A task cannot have more than ${MAX_TAGS} tags`;
+      continue;
+    }
+
+    const validationError = task.validateSync();
+    if (validationError) {
+      result.error = Object.values(validationError.errors)[0].message;
+    }
+  }
+
+  if (!GUARDED_STATUSES.includes(status)) {
+    return;
+  }
+
+  const guarded = results.filter(item => !item.error && item.task.isModified('status'));
+  const openBlockers = new Map();
+  for (const result of guarded) {
+    openBlockers.set(result.id, await findOpenBlockers(userId, result.task.blockedBy));
+  }
+
+  // A blocker counts as resolved only if the batch resolves it without error. Rejecting
+  // a task can leave the tasks it blocks blocked, so repeat until nothing changes.
+  const resolvesBlockers = ['completed', 'cancelled'].includes(status);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    const resolvedInBatch = new Set(resolvesBlockers ? results.filter(item => !item.error).map(item => item.id) : []);
+
+    for (const result of guarded.filter(item => !item.error)) {
+      const blockers = openBlockers.get(result.id).filter(blocker => !resolvedInBatch.has(String(blocker._id)));
+      if (blockers.length) {
+        result.error = `Task is blocked by ${blockers.length} open task${blockers.length === 1 ? '' : 's'}`;
+        result.blockers = blockers;
+        changed = true;
+      }
+    }
+  }
+};
+
+// Writes the tasks that passed. Without a session a failed save only fails that task;
+// in a transaction it is rethrown so the whole batch rolls back.
+const writeBulkResults = async (userId, results, action, session) => {
+  const ready = results.filter(result => !result.error);
+
+  if (action === 'delete') {
+    const deletedIds = ready.map(result => result.task._id);
+    await Task.deleteMany({ _id: { $in: deletedIds }, userId }, { session });
+    await Task.updateMany(
+      { userId, blockedBy: { $in: deletedIds } },
+      { $pull: { blockedBy: { $in: deletedIds } } },
+      { session }
+    );
+    return;
+  }
+
+  for (const result of ready) {
+    try {
+      await result.task.save({ session });
+      result.nextOccurrence = await spawnNextOccurrence(result.task, { session });
+    } catch (error) {
+      logger.error(`Bulk update failed for task ${result.id}:`, error);
+      result.error = 'Server error updating task';
+      if (session) {
+        throw new BulkAbort('write');
+      }
+    }
+  }
+};
+
+// Runs a validated bulk request. Returns { tooMany: true } when a filter matches more
+// than MAX_BULK_TASKS tasks, otherwise { results, applied, failure }: `applied` is false
+// when an all_or_nothing batch was rolled back, and `failure` says whether a task
+// failed its checks ("validation") or a write failed ("write").
+const runBulkOperation = async (userId, { ids, filter, action, changes, mode }) => {
+  const loadAndPrepare = async (session) => {
+    const results = await loadBulkTasks(userId, { ids, filter }, session);
+    if (results && action === 'update') {
+      await prepareBulkUpdate(userId, results, changes);
+    }
+    return results;
+  };
+
+  if (mode !== 'all_or_nothing') {
+    const results = await loadAndPrepare(null);
+    if (!results) {
+      return { tooMany: true };
+    }
+    await writeBulkResults(userId, results, action, null);
+    return { results, applied: true };
+  }
+
+  const session = await mongoose.startSession();
+  let results;
+  try {
+    // The callback can be retried on transient errors, so it starts from scratch
+    await session.withTransaction(async () => {
+      results = await loadAndPrepare(session);
+      if (!results) {
+        return;
+      }
+      if (results.some(result => result.error)) {
+        throw new BulkAbort('validation');
+      }
+      await writeBulkResults(userId, results, action, session);
+    });
+  } catch (error) {
+    if (error.name !== 'BulkAbort') {
+      throw error;
+    }
+    return { results, applied: false, failure: error.reason };
+  } finally {
+    await session.endSession();
+  }
+
+  return results ? { results, applied: true } : { tooMany: true };
+};
+
+module.exports = {
+  MAX_BULK_TASKS,
+  runBulkOperation
+};
@@ -0,0 +1,88 @@
+// iCalendar (RFC 5545) serialization of CalendarEvent documents
+
+const STATUS_MAP = {
+  scheduled: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+const PRIORITY_MAP = {
+  high: 1,
+  medium: 5,
+  low: 9
+};
+
+// TEXT values escape backslash, semicolon, comma and newlines
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+// Lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const parts = [];
+  let remaining = line;
+  while (Buffer.byteLength(remaining, 'utf8') > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(remaining.slice(0, cut), 'utf8') > 75) cut--;
+    parts.push(remaining.slice(0, cut));
+    remaining = ` ${remaining.slice(cut)}`;
+  }
+  parts.push(remaining);
+  return parts.join('\r\n');
+};
+
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event._id}@bluescar.app`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || event.createdAt || new Date())}`
+  ];
+
+  if (event.isAllDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.startDate)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(event.endDate)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.startDate)}`);
+    lines.push(`DTEND:${formatDateTime(event.endDate)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.category) lines.push(`CATEGORIES:${escapeText(event.category.toUpperCase())}`);
+  if (event.priority) lines.push(`PRIORITY:${PRIORITY_MAP[event.priority]}`);
+  lines.push(`STATUS:${STATUS_MAP[event.status] || 'CONFIRMED'}`);
+
+  for (const attendee of event.attendees || []) {
+    const name = attendee.name ? `;CN="${attendee.name.replace(/"/g, '')}"` : '';
+    const partstat = { accepted: 'ACCEPTED', declined: 'DECLINED' }[attendee.status] || 'NEEDS-ACTION';
+    lines.push(`ATTENDEE${name};PARTSTAT=${partstat}:mailto:${attendee.email}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+const buildCalendar = (events, { name = 'BlueScar' } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//BlueScar//Dashboard//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  buildCalendar
+};
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const SigningKey = require('../models/SigningKey');
+const logger = require('./logger');
+
+// ES256 keyring for access and refresh tokens. Keys live in MongoDB (private keys
+// encrypted with JWT_KEYRING_PASSPHRASE) and are cached in memory; every instance
+// reloads periodically, and immediately when it sees a kid it doesn't know, so a
+// rotation on one instance or from the CLI needs no restart. Rotated-out keys keep
+// verifying for JWT_KEY_GRACE_DAYS, which must cover the refresh token lifetime.
+const ALGORITHM = 'ES256';
+const GRACE_PERIOD = (parseInt(process.env.JWT_KEY_GRACE_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const REFRESH_INTERVAL = 5 * 60 * 1000;
+const RELOAD_COOLDOWN = 10 * 1000; // unknown kids trigger at most one reload per 10 seconds
+// HS256 tokens from before the keyring are refused from this date (ISO 8601), and
+// always when it isn't set. Set it to the deploy time plus the refresh token lifetime.
+const LEGACY_HS256_UNTIL = Date.parse(process.env.JWT_LEGACY_HS256_UNTIL) || 0;
+
+let activeKey = null; // { kid, privateKey }
+let verificationKeys = new Map(); // kid -> { publicKey, publicJwk, status }
+let lastLoadedAt = 0;
+
+const getPassphrase = () => {
+  if (!process.env.JWT_KEYRING_PASSPHRASE) {
+    throw new Error('JWT_KEYRING_PASSPHRASE environment variable is not defined');
+  }
+  return process.env.JWT_KEYRING_PASSPHRASE;
+};
+
+const createSigningKey = async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  return SigningKey.create({
+    kid: crypto.randomBytes(8).toString('hex'),
+    algorithm: ALGORITHM,
+    publicJwk: publicKey.export({ format: 'jwk' }),
+    privateKeyPem: privateKey.export({
+      type: 'pkcs8',
+      format: 'pem',
+      cipher: 'aes-256-cbc',
+      passphrase: getPassphrase()
+    })
+  });
+};
+
+const loadKeyring = async () => {
+  // Keys past their grace period can no longer have valid tokens outstanding
+  await SigningKey.updateMany(
+    { status: 'retiring', retiringAt: { $lte: new Date(Date.now() - GRACE_PERIOD) } },
+    { status: 'retired', retiredAt: new Date() }
+  );
+
+  const keys = await SigningKey.find({ status: { $in: ['active', 'retiring'] } }).sort({ activatedAt: -1 });
+  const active = await SigningKey.findOne({ status: 'active' }).sort({ activatedAt: -1 }).select('+privateKeyPem');
+
+  verificationKeys = new Map(keys.map(key => [key.kid, {
+    publicKey: crypto.createPublicKey({ key: key.publicJwk, format: 'jwk' }),
+    publicJwk: key.publicJwk,
+    status: key.status
+  }]));
+
+  activeKey = active && {
+    kid: active.kid,
+    privateKey: crypto.createPrivateKey({ key: active.privateKeyPem, format: 'pem', passphrase: getPassphrase() })
+  };
+
+  lastLoadedAt = Date.now();
+  return activeKey;
+};
+
+// Called on startup: loads the keyring, creating the first key on a fresh database
+const ensureKeyring = async () => {
+  if (!await loadKeyring()) {
+    const key = await createSigningKey();
+    logger.info(`Created initial JWT signing key: ${key.kid}`);
+    await loadKeyring();
+  }
+
+  logger.info(`JWT keyring loaded, signing with key ${activeKey.kid} (${verificationKeys.size} verification keys)`);
+};
+
+// New key signs from now on; the previous one keeps verifying during the grace period
+const rotateSigningKey = async () => {
+  const key = await createSigningKey();
+
+  const { modifiedCount } = await SigningKey.updateMany(
+    { status: 'active', kid: { $ne: key.kid } },
+    { status: 'retiring', retiringAt: new Date() }
+  );
+
+  await loadKeyring();
+  logger.info(`JWT signing key rotated to ${key.kid}, ${modifiedCount} previous key(s) retiring`);
+
+  return { kid: key.kid, retiringKeys: modifiedCount };
+};
+
+const startKeyringRefresh = () => {
+  const timer = setInterval(() => {
+    loadKeyring().catch(error => logger.error('JWT keyring refresh error:', error));
+  }, REFRESH_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+const signToken = (payload, options) => {
+  if (!activeKey) {
+    throw new Error('JWT keyring is not loaded');
+  }
+
+  return jwt.sign(payload, activeKey.privateKey, { ...options, algorithm: ALGORITHM, keyid: activeKey.kid });
+};
+
+// Tokens without a kid were signed with the HS256 secret before the keyring existed;
+// they are accepted with legacySecret until JWT_LEGACY_HS256_UNTIL.
+const verifyToken = async (token, { legacySecret } = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { kid } = decoded.header;
+  if (!kid) {
+    if (!legacySecret || Date.now() >= LEGACY_HS256_UNTIL) {
+      throw new jwt.JsonWebTokenError('jwt key id missing');
+    }
+    return jwt.verify(token, legacySecret, { algorithms: ['HS256'] });
+  }
+
+  let key = verificationKeys.get(kid);
+  if (!key && Date.now() - lastLoadedAt > RELOAD_COOLDOWN) {
+    await loadKeyring();
+    key = verificationKeys.get(kid);
+  }
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('jwt key id unknown');
+  }
+
+  return jwt.verify(token, key.publicKey, { algorithms: [ALGORITHM] });
+};
+
+const getJwks = () => ({
+  keys: [...verificationKeys].map(([kid, { publicJwk }]) => ({
+    ...publicJwk,
+    kid,
+    alg: ALGORITHM,
+    use: 'sig'
+  }))
+});
+
+module.exports = {
+  ensureKeyring,
+  loadKeyring,
+  rotateSigningKey,
+  startKeyringRefresh,
+  signToken,
+  verifyToken,
+  getJwks
+};
@@ -0,0 +1,73 @@
+const logger = require('./logger');
+const { sendMail } = require('./mailer');
+const { REFRESH_TOKEN_TTL } = require('./tokens');
+const { createSession } = require('./sessions');
+const { clearFailedLogins } = require('./loginThrottle');
+const { cancelAccountDeletion } = require('./accountDeletion');
+const { recordSecurityEvent } = require('./securityEvents');
+const { issueCsrfToken } = require('../middleware/csrf');
+const { roleOf } = require('../config/permissions');
+
+// Final step of every successful sign-in: records the login, starts a session
+// for this device (other devices stay signed in) and sends the token pair.
+// `method` names how the user proved who they are, for the security log.
+const completeLogin = async (req, res, user, deviceName, { method = 'password' } = {}) => {
+  user.lastLogin = new Date();
+  await user.save();
+
+  await clearFailedLogins(user.email);
+
+  // Signing in during the grace period keeps the account
+  const deletionCancelled = await cancelAccountDeletion(user);
+  if (deletionCancelled) {
+    sendMail({
+      to: user.email,
+      subject: 'Your BlueScar account deletion was cancelled',
+      text: `Hi ${user.firstName},\n\nYou signed in to BlueScar, so the scheduled deletion of your account has been cancelled and your data is kept.`
+    }).catch(mailError => logger.error('Account deletion cancellation notification error:', mailError));
+
+    logger.info(`Account deletion cancelled by login for user: ${user._id}`);
+  }
+
+  const { accessToken, refreshToken } = await createSession(user._id, req, deviceName);
+  setRefreshCookie(res, refreshToken);
+
+  recordSecurityEvent(req, { type: 'login', userId: user._id, metadata: { method, deviceName, deletionCancelled } });
+  logger.info(`User logged in: ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        fullName: user.fullName,
+        emailVerified: user.emailVerified,
+        mfaEnabled: user.mfa.enabled,
+        role: roleOf(user),
+        lastLogin: user.lastLogin,
+        preferences: user.preferences
+      },
+      accessToken,
+      csrfToken: issueCsrfToken(req, res), // send as X-CSRF-Token to /auth/refresh
+      ...(deletionCancelled && { deletionCancelled })
+    }
+  });
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: REFRESH_TOKEN_TTL * 1000
+  });
+};
+
+module.exports = {
+  completeLogin,
+  setRefreshCookie
+};
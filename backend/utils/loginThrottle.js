@@ -0,0 +1,90 @@
+const { cache } = require('../config/redis');
+const logger = require('./logger');
+
+// Per-account brute-force protection, keyed by email so it holds across IPs.
+// The first few failures are free, then each one doubles the wait before the
+// next attempt, and at LOCK_THRESHOLD the account is locked for LOCK_DURATION.
+const FREE_ATTEMPTS = 3;
+const LOCK_THRESHOLD = parseInt(process.env.LOGIN_LOCK_THRESHOLD, 10) || 10;
+const LOCK_DURATION = (parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 30) * 60; // seconds
+const FAILURE_WINDOW = 60 * 60; // failures are forgotten after an hour without one
+const MAX_DELAY = 15 * 60; // seconds
+
+const failuresKey = (email) => `login_failures:${email}`;
+const delayKey = (email) => `login_delay_until:${email}`;
+const lockKey = (email) => `login_lock:${email}`;
+
+// Returns { allowed: true } or { allowed: false, locked, retryAfter } (seconds)
+const checkLoginAllowed = async (email) => {
+  const lock = await cache.get(lockKey(email));
+  if (lock) {
+    return {
+      allowed: false,
+      locked: true,
+      retryAfter: Math.max(1, Math.ceil((new Date(lock.until) - Date.now()) / 1000))
+    };
+  }
+
+  const delayUntil = await cache.get(delayKey(email));
+  if (delayUntil && delayUntil > Date.now()) {
+    return {
+      allowed: false,
+      locked: false,
+      retryAfter: Math.ceil((delayUntil - Date.now()) / 1000)
+    };
+  }
+
+  return { allowed: true };
+};
+
+// Returns { failures, locked, retryAfter }. `locked` is only true on the failure that triggered the lock.
+const recordFailedLogin = async (email, ip) => {
+  const failures = await cache.incr(failuresKey(email));
+  if (failures === null) {
+    return { failures: 0, locked: false, retryAfter: 0 };
+  }
+  await cache.expire(failuresKey(email), FAILURE_WINDOW);
+
+  if (failures >= LOCK_THRESHOLD) {
+    const until = new Date(Date.now() + LOCK_DURATION * 1000);
+    await cache.set(lockKey(email), { lockedAt: new Date(), until, failures, ip }, LOCK_DURATION);
+    await cache.del(failuresKey(email));
+    await cache.del(delayKey(email));
+
+    logger.warn(`Account locked after ${failures} failed logins: ${email}, last IP: ${ip}`);
+    return { failures, locked: true, retryAfter: LOCK_DURATION };
+  }
+
+  if (failures > FREE_ATTEMPTS) {
+    const delay = Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY);
+    await cache.set(delayKey(email), Date.now() + delay * 1000, delay);
+    return { failures, locked: false, retryAfter: delay };
+  }
+
+  return { failures, locked: false, retryAfter: 0 };
+};
+
+const clearFailedLogins = async (email) => {
+  await cache.del(failuresKey(email));
+  await cache.del(delayKey(email));
+};
+
+// Returns true if the account was locked
+const unlockAccount = async (email) => {
+  const wasLocked = await cache.exists(lockKey(email));
+  await cache.del(lockKey(email));
+  await clearFailedLogins(email);
+  return wasLocked;
+};
+
+const getLockStatus = (email) => cache.get(lockKey(email));
+
+module.exports = {
+  LOCK_THRESHOLD,
+  LOCK_DURATION,
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  getLockStatus
+};
@@ -0,0 +1,67 @@
+const logger = require('./logger');
+
+// Transports receive a normalized message and resolve to { messageId }
+const transports = {
+  // Development default - writes the message to the log instead of delivering it
+  log: async (message) => {
+    logger.info(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId: `log_${Date.now()}` };
+  },
+
+  // Hands the message to an HTTP relay (SendGrid/SES bridge, n8n, etc.)
+  webhook: async (message) => {
+    if (!process.env.MAIL_WEBHOOK_URL) {
+      throw new Error('MAIL_WEBHOOK_URL environment variable is not defined');
+    }
+
+    const response = await fetch(process.env.MAIL_WEBHOOK_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.MAIL_WEBHOOK_TOKEN && { Authorization: `Bearer ${process.env.MAIL_WEBHOOK_TOKEN}` })
+      },
+      body: JSON.stringify(message)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Mail relay responded with ${response.status}`);
+    }
+
+    const result = await response.json().catch(() => ({}));
+    return { messageId: result.messageId || `webhook_${Date.now()}` };
+  }
+};
+
+// Register a custom transport (e.g. from tests or a provider SDK wrapper)
+const registerTransport = (name, handler) => {
+  if (typeof handler !== 'function') {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports[name] = handler;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'log';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || 'BlueScar <no-reply@bluescar.app>',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  const result = await transport(message);
+  logger.info(`Mail sent via ${transportName} to ${to}: ${subject}`);
+  return result;
+};
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { verifyCode } = require('./totp');
+const { hashToken } = require('./tokens');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Hidden MFA fields needed to check a second factor
+const MFA_SECRET_FIELDS = '+mfa.secret +mfa.recoveryCodes +mfa.lastUsedStep';
+
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^a-f0-9]/g, '');
+
+// Plain codes are shown to the user once, only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+// Checks a TOTP code or a recovery code against a user loaded with MFA_SECRET_FIELDS.
+// Marks the factor as used on the document (caller saves) and returns the method, or null.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.mfa.secret, code);
+    if (step === null || (user.mfa.lastUsedStep && step <= user.mfa.lastUsedStep)) {
+      return null;
+    }
+    user.mfa.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const index = (user.mfa.recoveryCodes || []).indexOf(hash);
+    if (index === -1) {
+      return null;
+    }
+    user.mfa.recoveryCodes.splice(index, 1);
+    return 'recovery_code';
+  }
+
+  return null;
+};
+
+module.exports = {
+  MFA_SECRET_FIELDS,
+  generateRecoveryCodes,
+  verifySecondFactor
+};
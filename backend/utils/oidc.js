@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+
+// OpenID Connect relying party: discovery, authorization code + PKCE, and ID token
+// verification against the provider's JWKS. Discovery documents and key sets are
+// cached in memory; an unknown "kid" triggers one JWKS refresh to pick up rotations.
+const METADATA_TTL = 60 * 60 * 1000; // 1 hour
+const REQUEST_TIMEOUT = 10 * 1000;
+const CLOCK_TOLERANCE = 60; // seconds
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed with ${response.status}: ${detail}`);
+  }
+
+  return body;
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// Random state, nonce and PKCE verifier/challenge (S256) for one authorization request
+const createAuthorizationParams = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+const discover = async (provider) => {
+  const cached = metadataCache.get(provider.id);
+  if (cached && cached.fetchedAt > Date.now() - METADATA_TTL) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+
+  // The discovery document must describe the configured issuer exactly (OIDC Discovery 4.3)
+  if (metadata.issuer.replace(/\/$/, '') !== provider.issuer) {
+    throw new Error(`OIDC issuer mismatch for ${provider.id}: ${metadata.issuer}`);
+  }
+
+  metadataCache.set(provider.id, { metadata, fetchedAt: Date.now() });
+  return metadata;
+};
+
+const getSigningKey = async (provider, kid) => {
+  let cached = jwksCache.get(provider.id);
+
+  const findKey = () => cached.keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+  if (!cached || cached.fetchedAt < Date.now() - METADATA_TTL || !findKey()) {
+    const { jwks_uri: jwksUri } = await discover(provider);
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(provider.id, cached);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error(`No signing key${kid ? ` with kid ${kid}` : ''} in ${provider.id} JWKS`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge }) => {
+  const { authorization_endpoint: authorizationEndpoint } = await discover(provider);
+
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+// Exchanges the authorization code; returns the token endpoint response
+const exchangeCode = async (provider, { code, codeVerifier }) => {
+  const metadata = await discover(provider);
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    code_verifier: codeVerifier,
+    client_id: provider.clientId
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (provider.clientSecret) {
+    const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      params.set('client_secret', provider.clientSecret);
+    }
+  }
+
+  return fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: params.toString()
+  });
+};
+
+// Verifies signature, issuer, audience, expiry and nonce; returns the claims
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('ID token is not a JWT');
+  }
+
+  const key = await getSigningKey(provider, decoded.header.kid);
+  const { issuer } = await discover(provider);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer,
+    audience: provider.clientId,
+    clockTolerance: CLOCK_TOLERANCE
+  });
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw new Error('ID token authorized party mismatch');
+  }
+
+  if (!claims.nonce || claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return claims;
+};
+
+// Runs the code exchange and returns the verified ID token claims
+const completeAuthorization = async (provider, { code, codeVerifier, nonce }) => {
+  const tokens = await exchangeCode(provider, { code, codeVerifier });
+  if (!tokens.id_token) {
+    throw new Error(`${provider.id} token response has no id_token`);
+  }
+
+  const claims = await verifyIdToken(provider, tokens.id_token, nonce);
+  logger.debug(`OIDC ID token verified for ${provider.id} subject: ${claims.sub}`);
+  return claims;
+};
+
+module.exports = {
+  createAuthorizationParams,
+  discover,
+  buildAuthorizationUrl,
+  completeAuthorization
+};
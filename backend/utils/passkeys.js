@@ -0,0 +1,63 @@
+const { cache } = require('../config/redis');
+const { rpId, origins } = require('../config/webauthn');
+const { generateChallenge, readChallenge, verifyAuthentication } = require('./webauthn');
+const logger = require('./logger');
+
+const CHALLENGE_TTL = 5 * 60; // 5 minutes
+const MAX_PASSKEYS = 10;
+
+// Challenges are single-use and remember what they were issued for: "register",
+// "login" or "mfa", plus the user or MFA challenge they belong to
+const createPasskeyChallenge = async (purpose, data = {}) => {
+  const challenge = generateChallenge();
+  await cache.set(`webauthn_challenge:${challenge}`, { purpose, ...data }, CHALLENGE_TTL);
+  return challenge;
+};
+
+const consumePasskeyChallenge = async (credential, purpose) => {
+  const challenge = readChallenge(credential);
+  if (!challenge) {
+    return null;
+  }
+
+  const key = `webauthn_challenge:${challenge}`;
+  const issued = await cache.get(key);
+  await cache.del(key);
+
+  return issued && issued.purpose === purpose ? { ...issued, challenge } : null;
+};
+
+// Checks an assertion from one of the user's passkeys and records its use on the
+// document (caller saves). Returns the passkey, or null if it doesn't verify.
+const verifyPasskeyAssertion = (user, credential, { challenge, requireUserVerification = false }) => {
+  const passkey = user.passkeys.find(item => item.credentialId === credential.id);
+  if (!passkey) {
+    return null;
+  }
+
+  try {
+    const { signCount } = verifyAuthentication(credential, passkey, {
+      expectedChallenge: challenge,
+      rpId,
+      origins,
+      requireUserVerification
+    });
+
+    passkey.signCount = signCount;
+    passkey.lastUsedAt = new Date();
+    return passkey;
+  } catch (error) {
+    if (error.name !== 'WebAuthnError') {
+      throw error;
+    }
+    logger.warn(`Passkey assertion rejected for user ${user._id}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  MAX_PASSKEYS,
+  createPasskeyChallenge,
+  consumePasskeyChallenge,
+  verifyPasskeyAssertion
+};
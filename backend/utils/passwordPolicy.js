@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+
+// Password policy shared by registration, password change and reset. Instead of
+// character-class rules it estimates how guessable a password is: length and
+// character variety, discounted for repeats and sequences, with hard rejections
+// for common passwords (including leetspeak and "Password1!"-style decorations)
+// and for passwords built from the user's own name or email address.
+const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10,
+  maxLength: 128,
+  minScore: 3 // on the 0-4 scale below, about 50 bits
+};
+
+const SCORE_THRESHOLDS = [28, 36, 50, 64]; // bits needed for scores 1-4
+const STRENGTH_LABELS = ['very_weak', 'weak', 'fair', 'strong', 'very_strong'];
+const KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+const LEET_SUBSTITUTIONS = { '@': 'a', 4: 'a', 8: 'b', 3: 'e', 6: 'g', 1: 'i', '!': 'i', 0: 'o', $: 's', 5: 's', 7: 't', 2: 'z' };
+const MIN_PERSONAL_TOKEN_LENGTH = 3;
+
+const commonPasswords = new Set(
+  fs.readFileSync(path.join(__dirname, '../config/common-passwords.txt'), 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+);
+
+const undoLeet = (text) => text.replace(/[@48361!0$572]/g, char => LEET_SUBSTITUTIONS[char]);
+
+// Strips decorations people add to satisfy composition rules: leading and trailing
+// digits and symbols, and a word typed twice ("passwordpassword")
+const coreOf = (text) => {
+  const stripped = text.replace(/^[\d\W_]+|[\d\W_]+$/g, '');
+  const repeated = stripped.match(/^(.+?)\1+$/);
+  return repeated ? repeated[1] : stripped;
+};
+
+const isCommonPassword = (password) => {
+  const lower = password.toLowerCase();
+  const candidates = [lower, undoLeet(lower), coreOf(lower), undoLeet(coreOf(lower)), coreOf(undoLeet(lower))];
+  return candidates.some(candidate => candidate.length >= 3 && commonPasswords.has(candidate));
+};
+
+const personalTokens = ({ email, firstName, lastName }) => {
+  const tokens = [firstName, lastName];
+  if (email) {
+    const [local] = email.toLowerCase().split('@');
+    tokens.push(local, ...local.split(/[._+-]/));
+  }
+  return tokens
+    .filter(Boolean)
+    .map(token => token.toLowerCase().replace(/\s+/g, ''))
+    .filter(token => token.length >= MIN_PERSONAL_TOKEN_LENGTH);
+};
+
+const containsPersonalInfo = (password, context) => {
+  const lower = password.toLowerCase();
+  const unleeted = undoLeet(lower);
+  return personalTokens(context).some(token => lower.includes(token) || unleeted.includes(token));
+};
+
+const isSequential = (previous, current) => {
+  const a = previous.toLowerCase();
+  const b = current.toLowerCase();
+  if (a === b || Math.abs(a.charCodeAt(0) - b.charCodeAt(0)) === 1) {
+    return true;
+  }
+  return KEYBOARD_ROWS.some(row => {
+    const i = row.indexOf(a);
+    return i !== -1 && Math.abs(row.indexOf(b) - i) === 1 && row.includes(b);
+  });
+};
+
+// Bits of guessing entropy: log2(pool size) per character, except that runs of three
+// or more repeated or sequential characters ("aaaa", "1234", "qwer") count as one
+// character plus the run length
+const estimateEntropy = (password) => {
+  let pool = 0;
+  if (/[a-z]/.test(password)) pool += 26;
+  if (/[A-Z]/.test(password)) pool += 26;
+  if (/\d/.test(password)) pool += 10;
+  if (/[^a-zA-Z\d]/.test(password)) pool += 33;
+  if (/[^\x00-\x7f]/.test(password)) pool += 100;
+
+  const perCharacter = Math.log2(pool || 1);
+  const chars = [...password];
+  const runs = [];
+  let length = 1;
+
+  for (let i = 1; i <= chars.length; i++) {
+    if (i < chars.length && isSequential(chars[i - 1], chars[i])) {
+      length++;
+    } else {
+      runs.push(length);
+      length = 1;
+    }
+  }
+
+  const bits = runs.reduce((total, run) => total + (run >= 3
+    ? perCharacter + Math.log2(run) + 1
+    : perCharacter * run), 0);
+
+  return { bits: chars.length ? bits : 0, hasPatterns: runs.some(run => run >= 3) };
+};
+
+const scoreFor = (bits) => SCORE_THRESHOLDS.filter(threshold => bits >= threshold).length;
+
+// Returns structured feedback for the UI: { valid, score, strength, entropyBits,
+// errors: [{ code, message }], suggestions: [string] }. `context` holds the user's
+// email, firstName and lastName when known.
+const evaluatePassword = (password, context = {}) => {
+  const errors = [];
+  const suggestions = [];
+  const { bits, hasPatterns } = estimateEntropy(password);
+  let score = scoreFor(bits);
+
+  if (password.length < PASSWORD_POLICY.minLength) {
+    errors.push({ code: 'too_short', message: `Password must be at least ${PASSWORD_POLICY.minLength} characters long` });
+  }
+
+  if (password.length > PASSWORD_POLICY.maxLength) {
+    errors.push({ code: 'too_long', message: `Password must be at most ${PASSWORD_POLICY.maxLength} characters long` });
+  }
+
+  if (isCommonPassword(password)) {
+    score = 0;
+    errors.push({ code: 'common_password', message: 'This is a commonly used password' });
+    suggestions.push('Avoid common words and predictable changes like "Password1!" or "p@ssw0rd"');
+  }
+
+  if (containsPersonalInfo(password, context)) {
+    score = Math.min(score, 1);
+    errors.push({ code: 'contains_personal_info', message: 'Password must not contain your name or email address' });
+  }
+
+  // Common or personal passwords already say why they are weak
+  if (score < PASSWORD_POLICY.minScore && !errors.some(error => ['common_password', 'contains_personal_info'].includes(error.code))) {
+    errors.push({ code: 'too_weak', message: 'Password is too easy to guess' });
+  }
+
+  if (score < PASSWORD_POLICY.minScore) {
+    if (hasPatterns) {
+      suggestions.push('Avoid repeated characters and sequences like "aaa", "1234" or "qwerty"');
+    }
+    suggestions.push('Use a longer password, for example a few unrelated words');
+  }
+
+  return {
+    valid: errors.length === 0,
+    score,
+    strength: STRENGTH_LABELS[score],
+    entropyBits: Math.round(bits),
+    errors,
+    suggestions
+  };
+};
+
+module.exports = {
+  PASSWORD_POLICY,
+  evaluatePassword
+};
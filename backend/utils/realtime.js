@@ -0,0 +1,25 @@
+const logger = require('./logger');
+
+// Access to the Socket.IO server for modules that don't have a request (and so can't
+// use req.app.get('io')). Sockets join rooms for their user, session and API key (see
+// server.js), so revoking a credential can close the sockets it opened.
+let io = null;
+
+const attachSocketServer = (server) => {
+  io = server;
+};
+
+const disconnectSockets = (room, reason) => {
+  if (!io) {
+    return;
+  }
+
+  io.to(room).emit('error', reason);
+  io.in(room).disconnectSockets(true);
+  logger.info(`Sockets in ${room} disconnected: ${reason}`);
+};
+
+module.exports = {
+  attachSocketServer,
+  disconnectSockets
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const { cache } = require('../config/redis');
+const { verifySecondFactor } = require('./mfa');
+const { hashToken } = require('./tokens');
+const { recordSecurityEvent } = require('./securityEvents');
+
+// Re-authentication for sensitive changes made with an access token, so a stolen
+// token alone can't take over the account: the password, plus a second factor when
+// two-factor authentication is enabled. Accounts without a password (created through
+// single sign-on) confirm with a code emailed to them instead.
+const REAUTH_CODE_TTL = 10 * 60; // 10 minutes
+const MAX_REAUTH_CODE_ATTEMPTS = 5;
+
+const REAUTH_ACTIONS = {
+  delete_account: 'delete your account',
+  change_email: 'change your email address',
+  register_mfa: 'turn on two-factor authentication',
+  disable_mfa: 'turn off two-factor authentication',
+  register_passkey: 'add a passkey',
+  remove_passkey: 'remove a passkey'
+};
+
+const reauthKeys = {
+  password: Joi.string(),
+  emailCode: Joi.string().pattern(/^\d{6}$/),
+  code: Joi.string().pattern(/^\d{6}$/),
+  recoveryCode: Joi.string().max(20)
+};
+
+// Request body schema for a route that re-authenticates, with its own `keys`
+const reauthSchema = (keys = {}) => Joi.object({ ...reauthKeys, ...keys })
+  .xor('password', 'emailCode')
+  .oxor('code', 'recoveryCode');
+
+// Creates the emailed code for `action`, replacing any earlier one; the caller sends it
+const issueReauthCode = async (user, action) => {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  await cache.set(`reauth_code:${user._id}`, { hash: hashToken(code), action }, REAUTH_CODE_TTL);
+  await cache.del(`reauth_code_attempts:${user._id}`);
+
+  return code;
+};
+
+// Single use; a few wrong guesses invalidate the code
+const consumeReauthCode = async (user, code, action) => {
+  const issued = await cache.get(`reauth_code:${user._id}`);
+  if (!issued || issued.action !== action) {
+    return false;
+  }
+
+  if (issued.hash !== hashToken(code)) {
+    const attempts = await cache.incr(`reauth_code_attempts:${user._id}`);
+    await cache.expire(`reauth_code_attempts:${user._id}`, REAUTH_CODE_TTL);
+    if (attempts >= MAX_REAUTH_CODE_ATTEMPTS) {
+      await cache.del(`reauth_code:${user._id}`);
+    }
+    return false;
+  }
+
+  await cache.del(`reauth_code:${user._id}`);
+  return true;
+};
+
+// Checks the credentials against a user loaded with +password and MFA_SECRET_FIELDS. A
+// used TOTP step or recovery code is marked on the document (caller saves). Failures
+// are recorded as security events for `action`.
+const verifyReauthentication = async (req, user, credentials, action) => {
+  const hasPassword = user.hasPassword !== false;
+  const secondFactorOk = !user.mfa.enabled || verifySecondFactor(user, credentials);
+
+  // The emailed code is only used up once everything else checks out
+  const firstFactorOk = hasPassword
+    ? credentials.password !== undefined && await user.comparePassword(credentials.password)
+    : credentials.emailCode !== undefined && secondFactorOk && await consumeReauthCode(user, credentials.emailCode, action);
+
+  if (firstFactorOk && secondFactorOk) {
+    return true;
+  }
+
+  recordSecurityEvent(req, { type: 'reauthentication', outcome: 'failure', userId: user._id, metadata: { action } });
+  return false;
+};
+
+module.exports = {
+  REAUTH_CODE_TTL,
+  REAUTH_ACTIONS,
+  reauthKeys,
+  reauthSchema,
+  issueReauthCode,
+  verifyReauthentication
+};
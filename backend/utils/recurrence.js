@@ -0,0 +1,178 @@
+const Task = require('../models/Task');
+const logger = require('./logger');
+
+// Recurrence rules for tasks. A rule is { frequency, interval, ... }:
+//   daily    every `interval` days
+//   weekly   every `interval` weeks, on `weekdays` (0 = Sunday)
+//   monthly  every `interval` months, on day `monthDay` (clamped to short months), or
+//            on the `weekOfMonth`-th (1-4, or -1 for the last) `weekday`
+// and stops after `until` when set. Dates are calculated in UTC and keep the time of
+// day of the due date they are shifted from.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const withTimeOf = (date, year, month, day) => new Date(Date.UTC(
+  year, month, day,
+  date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds()
+));
+
+// Day of the month of the nth (or, for -1, the last) given weekday
+const nthWeekdayOfMonth = (year, month, weekOfMonth, weekday) => {
+  if (weekOfMonth === -1) {
+    const lastDay = daysInMonth(year, month);
+    const lastWeekday = new Date(Date.UTC(year, month, lastDay)).getUTCDay();
+    return lastDay - ((lastWeekday - weekday + 7) % 7);
+  }
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  return 1 + ((weekday - firstWeekday + 7) % 7) + (weekOfMonth - 1) * 7;
+};
+
+// Fills in what a rule leaves implicit from the due date it starts at (the weekday for
+// weekly rules, the day of the month for monthly ones), so later occurrences don't
+// drift when a month is too short.
+const normalizeRecurrence = (rule, anchor = new Date()) => {
+  const normalized = { ...rule, interval: rule.interval || 1 };
+
+  if (rule.frequency === 'weekly') {
+    normalized.weekdays = [...(rule.weekdays?.length ? rule.weekdays : [anchor.getUTCDay()])].sort((a, b) => a - b);
+  }
+
+  if (rule.frequency === 'monthly') {
+    if (rule.weekOfMonth) {
+      normalized.weekday = rule.weekday ?? anchor.getUTCDay();
+    } else {
+      normalized.monthDay = rule.monthDay || anchor.getUTCDate();
+    }
+  }
+
+  return normalized;
+};
+
+// The first occurrence after `from`
+const nextOccurrence = (rule, from) => {
+  const interval = rule.interval || 1;
+  const year = from.getUTCFullYear();
+  const month = from.getUTCMonth();
+
+  if (rule.frequency === 'weekly') {
+    const weekdays = rule.weekdays?.length ? rule.weekdays : [from.getUTCDay()];
+    const today = from.getUTCDay();
+    const laterThisWeek = weekdays.filter(day => day > today);
+    const offset = laterThisWeek.length
+      ? Math.min(...laterThisWeek) - today
+      : 7 * interval - today + Math.min(...weekdays);
+    return new Date(from.getTime() + offset * DAY_MS);
+  }
+
+  if (rule.frequency === 'monthly') {
+    const dayOf = (targetYear, targetMonth) => (rule.weekOfMonth
+      ? nthWeekdayOfMonth(targetYear, targetMonth, rule.weekOfMonth, rule.weekday ?? from.getUTCDay())
+      : Math.min(rule.monthDay || from.getUTCDate(), daysInMonth(targetYear, targetMonth)));
+
+    // A due date before the rule's day in its month is followed by that day
+    const thisMonth = withTimeOf(from, year, month, dayOf(year, month));
+    if (thisMonth > from) {
+      return thisMonth;
+    }
+
+    const target = new Date(Date.UTC(year, month + interval, 1));
+    const targetYear = target.getUTCFullYear();
+    const targetMonth = target.getUTCMonth();
+    return withTimeOf(from, targetYear, targetMonth, dayOf(targetYear, targetMonth));
+  }
+
+  return new Date(from.getTime() + interval * DAY_MS);
+};
+
+// The due date for the occurrence after one due at `from`: the first occurrence that
+// is still in the future, so completing an overdue task doesn't create more overdue
+// ones. Returns null once the series has ended.
+const nextDueDate = (rule, from, now = new Date()) => {
+  // Whole periods in the past are skipped at once, however long the task is overdue
+  const interval = rule.interval || 1;
+  let start = from;
+  if (from < now && rule.frequency === 'monthly') {
+    // Stop a period short of the present month, as its occurrences may still be ahead
+    const monthsBehind = (now.getUTCFullYear() - from.getUTCFullYear()) * 12 + now.getUTCMonth() - from.getUTCMonth();
+    const skipped = Math.max(Math.floor(monthsBehind / interval) - 1, 0) * interval;
+    const target = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + skipped, 1));
+    const targetYear = target.getUTCFullYear();
+    const targetMonth = target.getUTCMonth();
+    start = withTimeOf(from, targetYear, targetMonth, Math.min(from.getUTCDate(), daysInMonth(targetYear, targetMonth)));
+  } else if (from < now) {
+    const period = { daily: 1, weekly: 7 }[rule.frequency] * interval * DAY_MS;
+    start = new Date(from.getTime() + Math.floor((now - from) / period) * period);
+  }
+
+  let next = nextOccurrence(rule, start);
+  while (next <= now) {
+    next = nextOccurrence(rule, next);
+  }
+
+  if (rule.until && next > rule.until) {
+    return null;
+  }
+  return next;
+};
+
+// Creates the next task in a completed recurring task's series. Each task spawns at
+// most one successor (recorded in nextOccurrenceId), so completing, reopening and
+// completing it again doesn't duplicate the series. Returns the new task or null.
+// Within a transaction (`session`), a failure is left to the transaction to undo.
+const spawnNextOccurrence = async (task, { session } = {}) => {
+  if (task.status !== 'completed' || !task.recurrence?.frequency || task.nextOccurrenceId) {
+    return null;
+  }
+
+  const dueDate = nextDueDate(task.recurrence, task.dueDate || task.completedAt || new Date());
+  if (!dueDate) {
+    return null;
+  }
+
+  const next = new Task({
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    tags: task.tags,
+    estimatedDuration: task.estimatedDuration,
+    checklist: (task.checklist || []).map(item => ({ text: item.text })),
+    autoCompleteOnChecklist: task.autoCompleteOnChecklist,
+    recurrence: task.recurrence,
+    seriesId: task.seriesId || task._id,
+    occurrence: (task.occurrence || 1) + 1,
+    dueDate,
+    userId: task.userId
+  });
+
+  // Claim the successor slot first so concurrent completions create one task
+  const claimed = await Task.findOneAndUpdate(
+    { _id: task._id, userId: task.userId, nextOccurrenceId: null },
+    { nextOccurrenceId: next._id, seriesId: next.seriesId, occurrence: task.occurrence || 1 },
+    { new: true, session }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  try {
+    await next.save({ session });
+  } catch (error) {
+    if (!session) {
+      await Task.updateOne({ _id: task._id }, { $unset: { nextOccurrenceId: 1 } });
+    }
+    throw error;
+  }
+
+  task.nextOccurrenceId = next._id;
+  task.seriesId = next.seriesId;
+  logger.info(`Recurring task ${task._id} completed; next occurrence ${next._id} due ${dueDate.toISOString()}`);
+  return next;
+};
+
+module.exports = {
+  normalizeRecurrence,
+  nextOccurrence,
+  nextDueDate,
+  spawnNextOccurrence
+};
@@ -0,0 +1,40 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const { cache } = require('../config/redis');
+const logger = require('./logger');
+
+// Records a SecurityEvent for the request without ever failing it: callers don't
+// await, and a storage error is only logged. `source` is an Express request or a
+// Socket.IO handshake.
+const recordSecurityEvent = (source, { type, outcome = 'success', userId, email, actorId, metadata }) => {
+  const headers = source?.headers || {};
+
+  SecurityEvent.create({
+    type,
+    outcome,
+    userId,
+    email,
+    actorId,
+    ip: source?.ip || source?.address,
+    userAgent: headers['user-agent']?.slice(0, 500),
+    metadata
+  }).catch(error => logger.error(`Security event "${type}" could not be recorded:`, error));
+};
+
+// For events anyone can trigger in bulk (CORS rejections): records the first
+// occurrence per key within `window` seconds and drops the rest (and, without
+// Redis, all of them rather than risk flooding the collection)
+const recordSecurityEventOnce = (key, window, source, event) => {
+  cache.incr(`security_event_once:${key}`)
+    .then(async (count) => {
+      if (count === 1) {
+        await cache.expire(`security_event_once:${key}`, window);
+        recordSecurityEvent(source, event);
+      }
+    })
+    .catch(error => logger.error(`Security event "${event.type}" could not be recorded:`, error));
+};
+
+module.exports = {
+  recordSecurityEvent,
+  recordSecurityEventOnce
+};
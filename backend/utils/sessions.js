@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const { cache } = require('../config/redis');
+const logger = require('./logger');
+const { disconnectSockets } = require('./realtime');
+const {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  generateAccessToken,
+  generateRefreshToken
+} = require('./tokens');
+
+// One record per signed-in device:
+//   session:<sid>            -> { id, userId, device, ip, userAgent, createdAt, lastSeenAt, refreshJti }
+//   user_sessions:<userId>   -> set of session ids
+//   used_jti:<jti>           -> claimed once, when that refresh token is exchanged
+// Every refresh rotates refreshJti; a refresh token whose jti is no longer current
+// (or was already claimed) has been used before, so the whole session (token family)
+// is revoked.
+
+const sessionKey = (sessionId) => `session:${sessionId}`;
+const userSessionsKey = (userId) => `user_sessions:${userId}`;
+
+const newJti = () => crypto.randomBytes(16).toString('hex');
+
+// Short readable label from the User-Agent, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  if (!browser) return os[0];
+  if (!os) return browser[0];
+  return `${browser[0]} on ${os[0]}`;
+};
+
+const issueTokens = (session) => ({
+  accessToken: generateAccessToken(session.userId, session.id),
+  refreshToken: generateRefreshToken(session.userId, session.id, session.refreshJti)
+});
+
+const saveSession = async (session) => {
+  await cache.set(sessionKey(session.id), session, REFRESH_TOKEN_TTL);
+  await cache.sadd(userSessionsKey(session.userId), session.id);
+  await cache.expire(userSessionsKey(session.userId), REFRESH_TOKEN_TTL);
+};
+
+const createSession = async (userId, req, deviceName) => {
+  const userAgent = req.get('User-Agent') || '';
+  const now = new Date();
+
+  const session = {
+    id: crypto.randomUUID(),
+    userId: userId.toString(),
+    device: deviceName || describeDevice(userAgent),
+    ip: req.ip,
+    userAgent,
+    createdAt: now,
+    lastSeenAt: now,
+    refreshJti: newJti()
+  };
+
+  await saveSession(session);
+
+  return { session, ...issueTokens(session) };
+};
+
+const getSession = (sessionId) => cache.get(sessionKey(sessionId));
+
+// Returns { session, accessToken, refreshToken } on success,
+// { reused: true } when an already-rotated token is presented, or null when the session is gone
+const rotateSession = async (decoded, req) => {
+  const session = await getSession(decoded.sid);
+  if (!session || session.userId !== decoded.userId.toString()) {
+    return null;
+  }
+
+  // The claim is atomic, so of two refreshes racing with the same token only one rotates
+  const claimed = session.refreshJti === decoded.jti &&
+    await cache.setnx(`used_jti:${decoded.jti}`, session.id, REFRESH_TOKEN_TTL);
+
+  if (!claimed) {
+    logger.warn(`Refresh token reuse detected for session ${session.id} (user: ${session.userId}), IP: ${req.ip}`);
+    await revokeSession(session.userId, session.id);
+    return { reused: true };
+  }
+
+  session.refreshJti = newJti();
+  session.lastSeenAt = new Date();
+  session.ip = req.ip;
+  session.userAgent = req.get('User-Agent') || session.userAgent;
+
+  await saveSession(session);
+
+  // A reuse detected while this refresh was in flight must not be undone by the save
+  if (await cache.exists(`revoked_session:${session.id}`)) {
+    await cache.del(sessionKey(session.id));
+    return { reused: true };
+  }
+
+  return { session, ...issueTokens(session) };
+};
+
+// Active sessions, most recently used first. Expired ids are pruned from the set.
+const listSessions = async (userId) => {
+  const sessionIds = await cache.smembers(userSessionsKey(userId));
+  const sessions = [];
+
+  for (const sessionId of sessionIds) {
+    const session = await getSession(sessionId);
+    if (session) {
+      sessions.push(session);
+    } else {
+      await cache.srem(userSessionsKey(userId), sessionId);
+    }
+  }
+
+  return sessions.sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+};
+
+// Removes the session, refuses its still-live access tokens and closes its sockets
+// (marked first, so a refresh saving the session concurrently sees the mark)
+const revokeSession = async (userId, sessionId) => {
+  await cache.set(`revoked_session:${sessionId}`, 'true', ACCESS_TOKEN_TTL);
+  await cache.del(sessionKey(sessionId));
+  await cache.srem(userSessionsKey(userId), sessionId);
+  disconnectSockets(`session_${sessionId}`, 'Session revoked');
+};
+
+// Revoke every session of the user. Without an exception this also refuses any
+// access token issued before now, including ones not bound to a session.
+const revokeAllSessions = async (userId, { exceptSessionId } = {}) => {
+  const sessionIds = await cache.smembers(userSessionsKey(userId));
+
+  for (const sessionId of sessionIds) {
+    if (sessionId !== exceptSessionId) {
+      await revokeSession(userId, sessionId);
+    }
+  }
+
+  if (!exceptSessionId) {
+    await cache.del(userSessionsKey(userId));
+    await cache.set(`tokens_revoked_at:${userId}`, Math.floor(Date.now() / 1000), ACCESS_TOKEN_TTL);
+    disconnectSockets(`access_tokens_${userId}`, 'Session revoked');
+  }
+};
+
+const isAccessTokenRevoked = async (decoded) => {
+  if (decoded.sid && await cache.exists(`revoked_session:${decoded.sid}`)) {
+    return true;
+  }
+
+  const revokedAt = await cache.get(`tokens_revoked_at:${decoded.userId}`);
+  return Boolean(revokedAt) && decoded.iat < revokedAt;
+};
+
+module.exports = {
+  describeDevice,
+  createSession,
+  getSession,
+  listSessions,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isAccessTokenRevoked
+};
@@ -0,0 +1,137 @@
+const Task = require('../models/Task');
+
+// Dependency ("blocked by") relations between one user's tasks. Edges point from a
+// task to the tasks it waits for; a task may only start or complete once every
+// blocker is resolved (completed or cancelled).
+const RESOLVED_STATUSES = ['completed', 'cancelled'];
+const GUARDED_STATUSES = ['in_progress', 'completed'];
+const MAX_GRAPH_DEPTH = 10;
+const MAX_GRAPH_NODES = 200;
+
+const GRAPH_FIELDS = '_id title status priority dueDate blockedBy';
+
+const idsOf = (values) => [...new Set(values.map(String))];
+
+// Blocker ids that are not the user's tasks (or don't exist)
+const findMissingTasks = async (userId, taskIds) => {
+  const ids = idsOf(taskIds);
+  const found = await Task.find({ _id: { $in: ids }, userId }).distinct('_id');
+  const foundIds = new Set(found.map(String));
+  return ids.filter(id => !foundIds.has(id));
+};
+
+// Blockers of a task that are still open
+const findOpenBlockers = (userId, blockerIds) => {
+  if (!blockerIds?.length) {
+    return [];
+  }
+  return Task.find({ _id: { $in: blockerIds }, userId, status: { $nin: RESOLVED_STATUSES } })
+    .select('_id title status')
+    .lean();
+};
+
+// Walks upstream from the proposed blockers. Returns the chain of task ids that
+// leads back to `taskId` (so making it blocked by `blockerIds` would close a cycle),
+// or null.
+const findCycle = async (userId, taskId, blockerIds) => {
+  const target = String(taskId);
+  const parents = new Map(idsOf(blockerIds).map(id => [id, null]));
+  let frontier = [...parents.keys()];
+
+  while (frontier.length) {
+    if (parents.has(target)) {
+      const chain = [];
+      for (let id = target; id; id = parents.get(id)) {
+        chain.push(id);
+      }
+      return [target, ...chain.reverse()];
+    }
+
+    const tasks = await Task.find({ _id: { $in: frontier }, userId }).select('blockedBy').lean();
+    frontier = [];
+    tasks.forEach(task => (task.blockedBy || []).map(String).forEach(id => {
+      if (!parents.has(id)) {
+        parents.set(id, String(task._id));
+        frontier.push(id);
+      }
+    }));
+  }
+
+  return null;
+};
+
+// Checks a proposed blockedBy list for `taskId` (omitted for a new task). Returns
+// null when it is valid, otherwise { message, ...details } for a 400 response.
+const validateBlockers = async (userId, taskId, blockerIds) => {
+  if (taskId && blockerIds.some(id => String(id) === String(taskId))) {
+    return { message: 'A task cannot be blocked by itself' };
+  }
+
+  const missing = await findMissingTasks(userId, blockerIds);
+  if (missing.length) {
+    return { message: 'Blocking tasks not found', missing };
+  }
+
+  const cycle = taskId && await findCycle(userId, taskId, blockerIds);
+  if (cycle) {
+    return { message: 'These dependencies would create a cycle', cycle };
+  }
+
+  return null;
+};
+
+// Breadth-first walk in one direction from `root`, up to MAX_GRAPH_DEPTH levels.
+// `next` loads the tasks adjacent to a level of tasks.
+const walk = async (root, next) => {
+  const seen = new Set([String(root._id)]);
+  const nodes = [];
+  let frontier = [root];
+
+  for (let depth = 1; frontier.length && depth <= MAX_GRAPH_DEPTH && nodes.length < MAX_GRAPH_NODES; depth++) {
+    frontier = (await next(frontier))
+      .filter(task => !seen.has(String(task._id)))
+      .slice(0, MAX_GRAPH_NODES - nodes.length);
+    frontier.forEach(task => seen.add(String(task._id)));
+    nodes.push(...frontier.map(task => ({ ...task, depth })));
+  }
+
+  return nodes;
+};
+
+// Upstream (blockers, transitively) and downstream (tasks waiting on this one)
+// of a task, with the edges between them, for drawing a dependency view. Returns
+// null when the task isn't the user's.
+const buildDependencyGraph = async (userId, taskId) => {
+  const task = await Task.findOne({ _id: taskId, userId }).select(GRAPH_FIELDS).lean();
+  if (!task) {
+    return null;
+  }
+
+  const upstream = await walk(task, frontier => Task.find({
+    _id: { $in: frontier.flatMap(item => item.blockedBy || []) },
+    userId
+  }).select(GRAPH_FIELDS).lean());
+
+  const downstream = await walk(task, frontier => Task.find({
+    userId,
+    blockedBy: { $in: frontier.map(item => item._id) }
+  }).select(GRAPH_FIELDS).lean());
+
+  const nodes = [task, ...upstream, ...downstream];
+  const nodeIds = new Set(nodes.map(node => String(node._id)));
+  const edges = new Map();
+  nodes.forEach(node => (node.blockedBy || []).forEach(blockerId => {
+    if (nodeIds.has(String(blockerId))) {
+      edges.set(`${blockerId}:${node._id}`, { from: String(blockerId), to: String(node._id) });
+    }
+  }));
+
+  return { task, upstream, downstream, edges: [...edges.values()] };
+};
+
+module.exports = {
+  GUARDED_STATUSES,
+  findOpenBlockers,
+  validateBlockers,
+  buildDependencyGraph
+};
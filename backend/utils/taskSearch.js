@@ -0,0 +1,196 @@
+// Search syntax for GET /api/tasks?search=. Plain words and "quoted phrases" go to the
+// MongoDB text index over title, description and tags (ranked by relevance, with
+// -word to exclude, which needs at least one word to search for); word* matches words
+// starting with "word" through the indexed Task.searchWords; and these narrow the
+// results down:
+//   tag:work  -tag:someday  tag:"big project"
+//   priority:high  priority:high,urgent
+//   due:2026-10-20  due:<2026-10-20  due:>2026-10-20  due:today  due:tomorrow
+//   due:overdue  due:none
+// User input only ever reaches regular expressions escaped.
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+const WORD_PATTERN = new RegExp(`${WORD_CHAR}+`, 'gu');
+
+class TaskSearchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TaskSearchError';
+  }
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const parseDay = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new TaskSearchError(`Invalid date "${value}" in due: (use YYYY-MM-DD)`);
+  }
+  return new Date(`${value}T00:00:00Z`);
+};
+
+// MongoDB condition on dueDate for a due: value. Days are UTC days.
+const dueCondition = (value, now) => {
+  const today = startOfDay(now);
+  const keywords = {
+    today: () => ({ dueDate: { $gte: today, $lt: new Date(today.getTime() + DAY_MS) } }),
+    tomorrow: () => ({ dueDate: { $gte: new Date(today.getTime() + DAY_MS), $lt: new Date(today.getTime() + 2 * DAY_MS) } }),
+    overdue: () => ({ dueDate: { $lt: now }, status: { $ne: 'completed' } }),
+    none: () => ({ dueDate: null })
+  };
+
+  if (keywords[value.toLowerCase()]) {
+    return keywords[value.toLowerCase()]();
+  }
+  if (value.startsWith('<')) {
+    return { dueDate: { $lt: parseDay(value.slice(1)) } };
+  }
+  if (value.startsWith('>')) {
+    return { dueDate: { $gte: new Date(parseDay(value.slice(1)).getTime() + DAY_MS) } };
+  }
+
+  const day = parseDay(value);
+  return { dueDate: { $gte: day, $lt: new Date(day.getTime() + DAY_MS) } };
+};
+
+// Parses a search string into { filter, hasText, terms }: the MongoDB filter to add to
+// the user's task query, whether it uses the text index (and so can be sorted by
+// relevance), and the words to highlight. Throws TaskSearchError for invalid syntax.
+const parseTaskSearch = (query, now = new Date()) => {
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new TaskSearchError(`Search cannot exceed ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const textParts = [];
+  const prefixes = [];
+  const terms = [];
+  const conditions = [];
+  const tags = { $all: [], $nin: [] };
+
+  for (const [, negated, key, quoted, bare] of query.matchAll(TOKEN_PATTERN)) {
+    const value = quoted ?? bare;
+    const field = key?.toLowerCase();
+
+    if (field === 'tag') {
+      tags[negated ? '$nin' : '$all'].push(value.trim());
+    } else if (field === 'priority') {
+      const priorities = value.toLowerCase().split(',').filter(Boolean);
+      const invalid = priorities.find(priority => !PRIORITIES.includes(priority));
+      if (invalid || !priorities.length) {
+        throw new TaskSearchError(`Invalid priority "${invalid || value}" (use ${PRIORITIES.join(', ')})`);
+      }
+      conditions.push({ priority: negated ? { $nin: priorities } : { $in: priorities } });
+    } else if (field === 'due') {
+      conditions.push(dueCondition(value, now));
+    } else {
+      // Unknown keys ("re:", "note:") are searched as ordinary text
+      const text = key ? `${key}:${value}` : value;
+      if (quoted !== undefined) {
+        if (text.trim()) {
+          textParts.push(`${negated}"${text.replace(/"/g, '')}"`);
+          if (!negated) terms.push(...text.split(/\s+/).filter(Boolean));
+        }
+      } else if (!negated && /^[^*]{2,}\*$/.test(text)) {
+        prefixes.push(text.slice(0, -1));
+        terms.push(text.slice(0, -1));
+      } else if (text.replace(/\*/g, '')) {
+        textParts.push(`${negated}${text.replace(/\*/g, '')}`);
+        if (!negated) terms.push(text.replace(/\*/g, ''));
+      }
+    }
+  }
+
+  if (tags.$all.length || tags.$nin.length) {
+    conditions.push({ tags: Object.fromEntries(Object.entries(tags).filter(([, values]) => values.length)) });
+  }
+
+  // Anchored on the lowercased words, so the regex is an index range scan. Words are
+  // split on punctuation as in searchWordsOf: re-ope* is the word "re" and a word ope*.
+  prefixes.forEach(prefix => {
+    const words = prefix.toLowerCase().match(WORD_PATTERN) || [];
+    words.slice(0, -1).forEach(word => conditions.push({ searchWords: word }));
+    if (words.length) {
+      conditions.push({ searchWords: { $regex: `^${escapeRegex(words[words.length - 1])}` } });
+    }
+  });
+
+  // MongoDB can't run a text search of only exclusions
+  const hasText = textParts.some(part => !part.startsWith('-'));
+  if (textParts.length && !hasText) {
+    throw new TaskSearchError('Excluded words (-word) need at least one word to search for');
+  }
+  const filter = {};
+  if (hasText) {
+    filter.$text = { $search: textParts.join(' ') };
+  }
+  if (conditions.length) {
+    filter.$and = conditions;
+  }
+
+  return { filter, hasText, terms: [...new Set(terms.map(term => term.toLowerCase()))] };
+};
+
+// [start, end] ranges of words in `text` that start with one of the terms
+const findMatches = (text, pattern) => [...text.matchAll(pattern)].map(match => [match.index, match.index + match[0].length]);
+
+// Cuts long text to a window around the first match
+const snippetOf = (text, pattern) => {
+  const matches = findMatches(text, pattern);
+  if (!matches.length || text.length <= SNIPPET_LENGTH) {
+    return { text, matches };
+  }
+
+  let start = Math.max(0, matches[0][0] - SNIPPET_LEAD);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < matches[0][0] ? space + 1 : start;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const window = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  return { text: window, matches: findMatches(window, pattern) };
+};
+
+// Where the search terms occur in a task, for highlighting: { title, description }
+// with { text, matches: [[start, end]] } (description cut to a snippet), and the
+// matching tags. Fields without matches are left out.
+const highlightTask = (task, terms) => {
+  if (!terms.length) {
+    return {};
+  }
+
+  const alternatives = terms.map(escapeRegex).sort((a, b) => b.length - a.length).join('|');
+  const pattern = new RegExp(`(?<!${WORD_CHAR})(?:${alternatives})${WORD_CHAR}*`, 'giu');
+  const highlights = {};
+
+  const title = snippetOf(task.title || '', pattern);
+  if (title.matches.length) {
+    highlights.title = title;
+  }
+
+  const description = snippetOf(task.description || '', pattern);
+  if (description.matches.length) {
+    highlights.description = description;
+  }
+
+  const tags = (task.tags || []).filter(tag => findMatches(tag, pattern).length);
+  if (tags.length) {
+    highlights.tags = tags;
+  }
+
+  return highlights;
+};
+
+module.exports = {
+  TaskSearchError,
+  parseTaskSearch,
+  highlightTask
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { signToken, verifyToken } = require('./keyring');
+
+const ACCESS_TOKEN_TTL = 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL = 30 * 24 * 3600; // 30 days
+const EMAIL_VERIFICATION_TTL = 24 * 3600; // 24 hours
+const MFA_CHALLENGE_TTL = 5 * 60; // 5 minutes
+
+// Access and refresh tokens are signed by the keyring and told apart by `type`
+const generateAccessToken = (userId, sessionId) => {
+  return signToken(
+    { userId, sid: sessionId, type: 'access' },
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const generateRefreshToken = (userId, sessionId, jti) => {
+  return signToken(
+    { userId, sid: sessionId, jti, type: 'refresh' },
+    { expiresIn: REFRESH_TOKEN_TTL }
+  );
+};
+
+const verifyAccessToken = (token) => verifyToken(token, { legacySecret: process.env.JWT_ACCESS_SECRET });
+
+const verifyRefreshToken = (token) => verifyToken(token, { legacySecret: process.env.JWT_REFRESH_SECRET });
+
+// Signed link token, bound to the address it was sent to so an email change voids it
+const generateEmailVerificationToken = (userId, email) => {
+  return jwt.sign(
+    { userId, email, type: 'email_verification' },
+    process.env.JWT_EMAIL_SECRET || process.env.JWT_ACCESS_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_TTL }
+  );
+};
+
+const verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_EMAIL_SECRET || process.env.JWT_ACCESS_SECRET);
+  if (decoded.type !== 'email_verification') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return decoded;
+};
+
+// Sent to the new address of an email change, confirms the user controls it
+const generateEmailChangeToken = (userId, newEmail) => {
+  return jwt.sign(
+    { userId, newEmail, type: 'email_change' },
+    process.env.JWT_EMAIL_SECRET || process.env.JWT_ACCESS_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_TTL }
+  );
+};
+
+const verifyEmailChangeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_EMAIL_SECRET || process.env.JWT_ACCESS_SECRET);
+  if (decoded.type !== 'email_change') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return decoded;
+};
+
+// Issued after a correct password when the account has two-factor enabled.
+// Only exchangeable at /auth/login/mfa, never accepted as an access token.
+const generateMfaChallengeToken = (userId, deviceName) => {
+  return jwt.sign(
+    { userId, deviceName, jti: crypto.randomBytes(16).toString('hex'), type: 'mfa_challenge' },
+    process.env.JWT_ACCESS_SECRET,
+    { expiresIn: MFA_CHALLENGE_TTL }
+  );
+};
+
+const verifyMfaChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+  if (decoded.type !== 'mfa_challenge') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return decoded;
+};
+
+// Random token handed to the user, only its SHA-256 digest is persisted
+const generateOpaqueToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashToken(token) };
+};
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Constant-time comparison of two digests
+const safeCompare = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  MFA_CHALLENGE_TTL,
+  generateAccessToken,
+  generateRefreshToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateEmailChangeToken,
+  verifyEmailChangeToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateOpaqueToken,
+  hashToken,
+  safeCompare
+};
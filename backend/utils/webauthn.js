@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+
+// WebAuthn Level 2 server-side checks for registration and authentication ceremonies.
+// Attestation is requested as "none": the statement is not verified, so passkeys are
+// trusted as the user's own credentials, not as a particular authenticator model.
+// Supports ES256, EdDSA and RS256 credential keys.
+const COSE_ALGORITHMS = {
+  '-7': { name: 'ES256', hash: 'sha256' },
+  '-8': { name: 'EdDSA', hash: null },
+  '-257': { name: 'RS256', hash: 'sha256' }
+};
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_DATA = 0x40;
+const MAX_CBOR_DEPTH = 16; // COSE keys and attestation objects nest two or three levels
+
+class WebAuthnError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebAuthnError';
+  }
+}
+
+const fromBase64url = (value) => {
+  if (typeof value !== 'string') {
+    throw new WebAuthnError('Expected a base64url string');
+  }
+  return Buffer.from(value, 'base64url');
+};
+
+// Rejects a credential that isn't shaped like the browser's result, before any of it is read
+const assertCredentialShape = (credential, responseFields) => {
+  if (!credential || typeof credential !== 'object' || !credential.response || typeof credential.response !== 'object') {
+    throw new WebAuthnError('Malformed credential');
+  }
+  const missing = responseFields.find(field => typeof credential.response[field] !== 'string');
+  if (missing) {
+    throw new WebAuthnError(`Credential response is missing ${missing}`);
+  }
+};
+
+// Minimal CBOR decoder (RFC 8949) covering what authenticators emit: integers, byte
+// and text strings, arrays, maps and simple values. Returns [value, nextOffset].
+const decodeCbor = (buffer, offset = 0, depth = 0) => {
+  if (offset >= buffer.length) {
+    throw new WebAuthnError('Truncated CBOR data');
+  }
+  if (depth > MAX_CBOR_DEPTH) {
+    throw new WebAuthnError('CBOR data is nested too deeply');
+  }
+
+  const initial = buffer[offset];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+  let position = offset + 1;
+
+  const readLength = () => {
+    if (info < 24) return info;
+    const size = { 24: 1, 25: 2, 26: 4, 27: 8 }[info];
+    if (!size || position + size > buffer.length) {
+      throw new WebAuthnError('Unsupported CBOR length');
+    }
+    const value = size === 8 ? Number(buffer.readBigUInt64BE(position)) : buffer.readUIntBE(position, size);
+    position += size;
+    return value;
+  };
+
+  switch (major) {
+    case 0:
+      return [readLength(), position];
+    case 1:
+      return [-1 - readLength(), position];
+    case 2:
+    case 3: {
+      const length = readLength();
+      if (position + length > buffer.length) {
+        throw new WebAuthnError('Truncated CBOR data');
+      }
+      const bytes = buffer.subarray(position, position + length);
+      return [major === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), position + length];
+    }
+    case 4: {
+      const length = readLength();
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        let item;
+        [item, position] = decodeCbor(buffer, position, depth + 1);
+        items.push(item);
+      }
+      return [items, position];
+    }
+    case 5: {
+      const length = readLength();
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        let key, value;
+        [key, position] = decodeCbor(buffer, position, depth + 1);
+        [value, position] = decodeCbor(buffer, position, depth + 1);
+        map.set(key, value);
+      }
+      return [map, position];
+    }
+    case 7:
+      if (info === 20) return [false, position];
+      if (info === 21) return [true, position];
+      if (info === 22) return [null, position];
+      throw new WebAuthnError('Unsupported CBOR simple value');
+    default:
+      throw new WebAuthnError('Unsupported CBOR type');
+  }
+};
+
+// COSE_Key (RFC 9053) -> Node KeyObject
+const coseToPublicKey = (cose) => {
+  const kty = cose.get(1);
+  const algorithm = cose.get(3);
+  const coordinates = kty === 3 ? [-1, -2] : kty === 2 ? [-2, -3] : [-2];
+  if (coordinates.some(label => !Buffer.isBuffer(cose.get(label)))) {
+    throw new WebAuthnError('Malformed credential public key');
+  }
+  let jwk;
+
+  if (kty === 2 && algorithm === -7 && cose.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: cose.get(-2).toString('base64url'), y: cose.get(-3).toString('base64url') };
+  } else if (kty === 1 && algorithm === -8 && cose.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: cose.get(-2).toString('base64url') };
+  } else if (kty === 3 && algorithm === -257) {
+    jwk = { kty: 'RSA', n: cose.get(-1).toString('base64url'), e: cose.get(-2).toString('base64url') };
+  } else {
+    throw new WebAuthnError(`Unsupported credential key type ${kty} / algorithm ${algorithm}`);
+  }
+
+  try {
+    return { algorithm, publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }) };
+  } catch (error) {
+    throw new WebAuthnError('Invalid credential public key');
+  }
+};
+
+// rpIdHash (32) | flags (1) | signCount (4) [| aaguid (16) | idLength (2) | credentialId | COSE key]
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw new WebAuthnError('Authenticator data is too short');
+  }
+
+  const flags = authData[32];
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    userPresent: Boolean(flags & FLAG_USER_PRESENT),
+    userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+    signCount: authData.readUInt32BE(33)
+  };
+
+  if (flags & FLAG_ATTESTED_DATA) {
+    if (authData.length < 55) {
+      throw new WebAuthnError('Attested credential data is too short');
+    }
+    const idLength = authData.readUInt16BE(53);
+    if (idLength === 0 || 55 + idLength >= authData.length) {
+      throw new WebAuthnError('Attested credential data is too short');
+    }
+    const credentialId = authData.subarray(55, 55 + idLength);
+    const [cose] = decodeCbor(authData, 55 + idLength);
+    if (!(cose instanceof Map)) {
+      throw new WebAuthnError('Credential public key is not a COSE key');
+    }
+    parsed.aaguid = authData.subarray(37, 53).toString('hex');
+    parsed.credentialId = credentialId.toString('base64url');
+    parsed.credentialKey = coseToPublicKey(cose);
+  }
+
+  return parsed;
+};
+
+// Checks the client data the browser signed over; returns it parsed
+const verifyClientData = (clientDataJSON, type, { expectedChallenge, origins }) => {
+  let clientData;
+  try {
+    clientData = JSON.parse(fromBase64url(clientDataJSON).toString('utf8'));
+  } catch (error) {
+    throw new WebAuthnError('Client data is not valid JSON');
+  }
+
+  if (!clientData || typeof clientData !== 'object') {
+    throw new WebAuthnError('Client data is not an object');
+  }
+  if (clientData.type !== type) {
+    throw new WebAuthnError(`Unexpected ceremony type ${clientData.type}`);
+  }
+  if (clientData.challenge !== expectedChallenge) {
+    throw new WebAuthnError('Challenge mismatch');
+  }
+  if (!origins.includes(clientData.origin)) {
+    throw new WebAuthnError(`Origin ${clientData.origin} is not allowed`);
+  }
+  if (clientData.crossOrigin === true) {
+    throw new WebAuthnError('Cross-origin ceremonies are not allowed');
+  }
+
+  return clientData;
+};
+
+const verifyAuthenticatorFlags = (authData, { rpId, requireUserVerification }) => {
+  const expectedHash = crypto.createHash('sha256').update(rpId).digest();
+  if (!crypto.timingSafeEqual(authData.rpIdHash, expectedHash)) {
+    throw new WebAuthnError('Relying party ID mismatch');
+  }
+  if (!authData.userPresent) {
+    throw new WebAuthnError('User presence was not confirmed');
+  }
+  if (requireUserVerification && !authData.userVerified) {
+    throw new WebAuthnError('User verification is required');
+  }
+};
+
+// Reads the challenge from a credential's client data, before anything is verified,
+// so the caller can look up what it issued it for
+const readChallenge = (credential) => {
+  try {
+    return JSON.parse(fromBase64url(credential.response.clientDataJSON).toString('utf8')).challenge || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// navigator.credentials.create() result (base64url fields) -> the credential to store
+const verifyRegistration = (credential, { expectedChallenge, rpId, origins, requireUserVerification = false }) => {
+  assertCredentialShape(credential, ['clientDataJSON', 'attestationObject']);
+  if (credential.type !== 'public-key') {
+    throw new WebAuthnError('Not a public key credential');
+  }
+
+  verifyClientData(credential.response.clientDataJSON, 'webauthn.create', { expectedChallenge, origins });
+
+  const [attestation] = decodeCbor(fromBase64url(credential.response.attestationObject));
+  if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+    throw new WebAuthnError('Malformed attestation object');
+  }
+
+  const authData = parseAuthenticatorData(attestation.get('authData'));
+  verifyAuthenticatorFlags(authData, { rpId, requireUserVerification });
+
+  if (!authData.credentialId || authData.credentialId !== credential.id) {
+    throw new WebAuthnError('Attested credential does not match the credential ID');
+  }
+
+  return {
+    credentialId: authData.credentialId,
+    publicKey: authData.credentialKey.publicKey.export({ type: 'spki', format: 'der' }).toString('base64url'),
+    algorithm: authData.credentialKey.algorithm,
+    signCount: authData.signCount,
+    aaguid: authData.aaguid,
+    userVerified: authData.userVerified
+  };
+};
+
+// navigator.credentials.get() result -> { signCount, userVerified } after checking the
+// signature with the stored key. A counter that doesn't advance means a cloned key.
+const verifyAuthentication = (credential, storedCredential, { expectedChallenge, rpId, origins, requireUserVerification = false }) => {
+  assertCredentialShape(credential, ['clientDataJSON', 'authenticatorData', 'signature']);
+  if (credential.type !== 'public-key' || credential.id !== storedCredential.credentialId) {
+    throw new WebAuthnError('Credential mismatch');
+  }
+
+  const { clientDataJSON, authenticatorData, signature } = credential.response;
+  verifyClientData(clientDataJSON, 'webauthn.get', { expectedChallenge, origins });
+
+  const rawAuthData = fromBase64url(authenticatorData);
+  const authData = parseAuthenticatorData(rawAuthData);
+  verifyAuthenticatorFlags(authData, { rpId, requireUserVerification });
+
+  const algorithm = COSE_ALGORITHMS[storedCredential.algorithm];
+  if (!algorithm) {
+    throw new WebAuthnError('Unsupported credential algorithm');
+  }
+
+  const publicKey = crypto.createPublicKey({ key: fromBase64url(storedCredential.publicKey), format: 'der', type: 'spki' });
+  const signedData = Buffer.concat([rawAuthData, crypto.createHash('sha256').update(fromBase64url(clientDataJSON)).digest()]);
+
+  let validSignature;
+  try {
+    validSignature = crypto.verify(algorithm.hash, signedData, publicKey, fromBase64url(signature));
+  } catch (error) {
+    validSignature = false;
+  }
+  if (!validSignature) {
+    throw new WebAuthnError('Invalid signature');
+  }
+
+  if ((authData.signCount !== 0 || storedCredential.signCount !== 0) && authData.signCount <= storedCredential.signCount) {
+    throw new WebAuthnError('Signature counter did not increase, the credential may be cloned');
+  }
+
+  return { signCount: authData.signCount, userVerified: authData.userVerified };
+};
+
+const generateChallenge = () => crypto.randomBytes(32).toString('base64url');
+
+module.exports = {
+  COSE_ALGORITHMS,
+  WebAuthnError,
+  decodeCbor,
+  generateChallenge,
+  readChallenge,
+  verifyRegistration,
+  verifyAuthentication
+};